@@ -0,0 +1,60 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Quotas per route/event: at most `max` hits per `windowMs`. Any of them can
+// be overridden with a JSON object in RATE_LIMITS, e.g.
+//   RATE_LIMITS='{"messageSendUser":{"max":120}}'
+const defaults = {
+  // Auth (per IP, resends per user)
+  loginIp: { max: 20, windowMs: 15 * MINUTE },
+  signupIp: { max: 10, windowMs: HOUR },
+  refreshIp: { max: 60, windowMs: 15 * MINUTE },
+  passwordResetIp: { max: 5, windowMs: HOUR },
+  verificationResendUser: { max: 3, windowMs: HOUR },
+
+  // Friends
+  friendRequestIp: { max: 60, windowMs: HOUR },
+  friendRequestUser: { max: 30, windowMs: HOUR },
+
+  // Messaging over REST
+  messageSendIp: { max: 120, windowMs: MINUTE },
+  messageSendUser: { max: 60, windowMs: MINUTE },
+  uploadUser: { max: 20, windowMs: 10 * MINUTE },
+
+  // Socket events, per user
+  socket_send_message: { max: 60, windowMs: MINUTE },
+  socket_send_group_message: { max: 60, windowMs: MINUTE },
+  socket_typing: { max: 30, windowMs: 10 * 1000 }
+};
+
+// Progressive lockout after failed logins for the same account: after
+// `threshold` failures within `windowMs`, each further failure locks the
+// account for baseLockMs, doubling up to maxLockMs
+const loginLockout = {
+  threshold: 5,
+  windowMs: HOUR,
+  baseLockMs: MINUTE,
+  maxLockMs: HOUR
+};
+
+const parseOverrides = () => {
+  if (!process.env.RATE_LIMITS) return {};
+
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    console.error('Invalid RATE_LIMITS, using defaults:', error.message);
+    return {};
+  }
+};
+
+const overrides = parseOverrides();
+
+const quotas = Object.fromEntries(
+  Object.entries(defaults).map(([name, quota]) => [name, { ...quota, ...overrides[name] }])
+);
+
+module.exports = {
+  quotas,
+  loginLockout: { ...loginLockout, ...overrides.loginLockout }
+};
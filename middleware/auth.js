@@ -1,42 +1,29 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../services/sessionService');
+const ServiceError = require('../utils/ServiceError');
 
 const auth = async (req, res, next) => {
-  try {
-    // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'No token provided, authorization denied' 
-      });
-    }
+  // Get token from header
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return next(new ServiceError(401, 'No token provided, authorization denied', { code: 'NO_TOKEN' }));
+  }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Token is not valid' 
-      });
-    }
+  try {
+    // Verify token and make sure its session hasn't been revoked
+    const { user, session } = await verifyAccessToken(token);
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
-    next();
+    req.authSession = session;
   } catch (error) {
     console.error('Auth middleware error:', error);
-    res.status(401).json({ 
-      success: false, 
-      message: 'Token is not valid' 
-    });
+    return next(error.name === 'TokenExpiredError'
+      ? new ServiceError(401, 'Token has expired', { code: 'TOKEN_EXPIRED' })
+      : new ServiceError(401, 'Token is not valid', { code: 'INVALID_TOKEN' }));
   }
+
+  next();
 };
 
 module.exports = auth;
-
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const ServiceError = require('../utils/ServiceError');
+
+// Turn anything a route throws into a ServiceError with a status, code and
+// message that are safe to show the client
+const toServiceError = (error) => {
+  if (error instanceof ServiceError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message: fieldError.message
+    }));
+    return new ServiceError(400, details[0]?.message || 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details
+    });
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ServiceError(400, `Invalid ${error.path}`, {
+      code: 'INVALID_ID',
+      details: [{ field: error.path, message: `${error.path} must be a valid ${error.kind}` }]
+    });
+  }
+
+  // Unique index violation, e.g. a username taken between check and save
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    const details = fields.map((field) => ({ field, message: `${field} is already taken` }));
+    return new ServiceError(409, details[0]?.message || 'Duplicate value', {
+      code: 'DUPLICATE_KEY',
+      details
+    });
+  }
+
+  // Malformed or oversized JSON bodies from express.json()
+  if (error.type === 'entity.parse.failed') {
+    return new ServiceError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new ServiceError(413, 'Request body is too large');
+  }
+
+  return null;
+};
+
+// Anything under /api that no router handled
+const notFound = (req, res, next) => {
+  next(new ServiceError(404, `Route not found: ${req.method} ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Single place where errors become responses, always shaped
+// { success: false, code, message, details }. Express spots error handlers
+// by their four arguments, so `next` stays even though it's rarely used
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const known = toServiceError(error);
+  if (!known) {
+    console.error(`${req.method} ${req.originalUrl} error:`, error);
+  }
+
+  const { status, code, message, details } = known || new ServiceError(500, 'Server error');
+
+  res.status(status).json({
+    success: false,
+    code,
+    message,
+    details: details || []
+  });
+};
+
+module.exports = {
+  errorHandler,
+  notFound,
+  toServiceError
+};
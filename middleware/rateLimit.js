@@ -0,0 +1,84 @@
+const { hit } = require('../services/rateLimit');
+const { quotas } = require('../config/rateLimits');
+
+// Same shape as the error handler's responses, plus when to try again
+const tooManyRequests = (res, retryAfter, message = 'Too many requests, please try again later') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'RATE_LIMITED',
+    message,
+    details: [],
+    retryAfter
+  });
+};
+
+// Limit a route by a named quota from config/rateLimits.js, counted per IP
+// or per authenticated user (`keyBy: 'user'` must come after `auth`)
+const rateLimit = (quotaName, { keyBy = 'ip' } = {}) => {
+  const quota = quotas[quotaName];
+  if (!quota) {
+    throw new Error(`Unknown rate limit quota: ${quotaName}`);
+  }
+
+  return async (req, res, next) => {
+    const id = keyBy === 'user' ? req.user?._id : req.ip;
+    if (!id) return next();
+
+    try {
+      const result = await hit(`${quotaName}:${id}`, quota);
+
+      res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.retryAfter)
+      });
+
+      if (!result.allowed) {
+        return tooManyRequests(res, result.retryAfter);
+      }
+
+      next();
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Socket.IO middleware throttling events that have a `socket_<event>` quota.
+// Throttled events are dropped; the sender's ack (if any) gets the error
+const throttleSocketEvents = (socket) => async (packet, next) => {
+  const [event, ...args] = packet;
+  const quotaName = `socket_${event}`;
+  const quota = quotas[quotaName];
+  if (!quota) return next();
+
+  try {
+    const result = await hit(`${quotaName}:${socket.userId}`, quota);
+    if (result.allowed) return next();
+
+    const ack = args[args.length - 1];
+    const error = {
+      success: false,
+      code: 'RATE_LIMITED',
+      message: 'Too many requests, please try again later',
+      retryAfter: result.retryAfter
+    };
+
+    if (typeof ack === 'function') {
+      ack(error);
+    }
+    socket.emit('rate_limited', { event, retryAfter: result.retryAfter });
+  } catch (error) {
+    console.error('Socket rate limit error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  rateLimit,
+  throttleSocketEvents,
+  tooManyRequests
+};
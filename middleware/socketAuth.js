@@ -0,0 +1,80 @@
+const { verifyAccessToken } = require('../services/sessionService');
+const realtime = require('../services/realtime');
+
+// setTimeout fires immediately for delays above ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Pull the token from the handshake: `auth.token` (socket.io-client `auth` option),
+// falling back to an Authorization header for non-browser clients
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token.replace('Bearer ', '');
+  }
+
+  return headers.authorization?.replace('Bearer ', '');
+};
+
+// Drop the connection once the token expires so a long-lived socket
+// can't outlive its credentials. Re-authenticating replaces the timer
+const scheduleExpiry = (socket, exp) => {
+  clearTimeout(socket.expiryTimer);
+  if (!exp) return;
+
+  const msUntilExpiry = Math.min(exp * 1000 - Date.now(), MAX_TIMER_MS);
+  socket.expiryTimer = setTimeout(() => {
+    socket.emit('token_expired');
+    socket.disconnect(true);
+  }, msUntilExpiry);
+};
+
+// Swap in a fresh access token on a live socket (after a refresh) so it
+// isn't dropped when the old one expires. The token must belong to the same user
+const reauthenticate = async (socket, token) => {
+  const { user, session, decoded } = await verifyAccessToken(token.replace('Bearer ', ''));
+
+  if (user._id.toString() !== socket.userId) {
+    throw new Error('Token belongs to a different user');
+  }
+
+  if (session._id.toString() !== socket.sessionId) {
+    socket.leave(realtime.sessionRoom(socket.sessionId));
+    socket.sessionId = session._id.toString();
+    socket.join(realtime.sessionRoom(socket.sessionId));
+  }
+
+  scheduleExpiry(socket, decoded.exp);
+};
+
+const socketAuth = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+
+    if (!token) {
+      return next(new Error('No token provided, authorization denied'));
+    }
+
+    // Verify token and make sure its session hasn't been revoked
+    const { user, session, decoded } = await verifyAccessToken(token);
+
+    // Bind the socket to the verified user; client-supplied ids are never trusted
+    socket.user = user;
+    socket.userId = user._id.toString();
+    socket.sessionId = session._id.toString();
+
+    // Revoking the session disconnects every socket in this room
+    socket.join(realtime.sessionRoom(socket.sessionId));
+
+    scheduleExpiry(socket, decoded.exp);
+    socket.on('disconnect', () => clearTimeout(socket.expiryTimer));
+
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error.message);
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid'));
+  }
+};
+
+module.exports = socketAuth;
+module.exports.reauthenticate = reauthenticate;
@@ -0,0 +1,32 @@
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../services/attachmentService');
+const ServiceError = require('../utils/ServiceError');
+
+// Keep uploads in memory so they can be validated and thumbnailed before
+// anything reaches the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1
+  }
+});
+
+// Accept a single file field and turn multer errors into ServiceErrors
+const singleFile = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? new ServiceError(413, 'File is too large')
+        : new ServiceError(400, error.message, { code: error.code }));
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  singleFile
+};
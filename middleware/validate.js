@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const ServiceError = require('../utils/ServiceError');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Query strings arrive as text, so numbers and booleans are read from it
+const fromQuery = (value, type) => {
+  if (typeof value !== 'string') return value;
+  if (type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+  if ((type === 'number' || type === 'integer') && value.trim() !== '') return Number(value);
+  return value;
+};
+
+// Describe what's wrong with `value`, or return null if it satisfies `rule`
+const checkType = (value, rule, field) => {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? null : `${field} must be a string`;
+    case 'email':
+      return typeof value === 'string' && EMAIL_PATTERN.test(value.trim())
+        ? null
+        : `${field} must be a valid email address`;
+    case 'objectId':
+      return (typeof value === 'string' && mongoose.isObjectIdOrHexString(value))
+        ? null
+        : `${field} must be a valid ID`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${field} must be true or false`;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : `${field} must be a number`;
+    case 'integer':
+      return Number.isInteger(value) ? null : `${field} must be a whole number`;
+    case 'date':
+      return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime())
+        ? null
+        : `${field} must be a valid date`;
+    case 'array':
+      return Array.isArray(value) ? null : `${field} must be a list`;
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? null : `${field} must be an object`;
+    default:
+      return null;
+  }
+};
+
+const checkBounds = (value, rule, field) => {
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+    return null;
+  }
+
+  const unit = Array.isArray(value) ? 'items' : 'characters';
+  if (rule.min !== undefined && value.length < rule.min) {
+    return Array.isArray(value)
+      ? `${field} must have at least ${rule.min} ${unit}`
+      : `${field} must be at least ${rule.min} ${unit} long`;
+  }
+  if (rule.max !== undefined && value.length > rule.max) {
+    return Array.isArray(value)
+      ? `${field} must have at most ${rule.max} ${unit}`
+      : `${field} must be at most ${rule.max} ${unit} long`;
+  }
+  return null;
+};
+
+// Check one value against its rule, collecting problems into `details`
+const checkValue = (value, rule, field, location, details) => {
+  const fail = (message) => details.push({ location, field, message });
+
+  if (location === 'query') value = fromQuery(value, rule.type);
+  if (rule.trim && typeof value === 'string') value = value.trim();
+
+  if (isEmpty(value)) {
+    if (rule.required) fail(`${field} is required`);
+    return;
+  }
+
+  const typeError = checkType(value, rule, field);
+  if (typeError) return fail(typeError);
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (['string', 'array', 'number', 'integer'].includes(rule.type)) {
+    const boundsError = checkBounds(value, rule, field);
+    if (boundsError) return fail(boundsError);
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return fail(rule.patternMessage || `${field} is not in the expected format`);
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    value.forEach((item, index) => checkValue(item, { required: true, ...rule.items }, `${field}[${index}]`, location, details));
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    checkFields(value, rule.fields, `${field}.`, location, details, rule.strict);
+  }
+};
+
+const checkFields = (source, fields, prefix, location, details, strict) => {
+  Object.entries(fields).forEach(([name, rule]) => {
+    checkValue(source[name], rule, `${prefix}${name}`, location, details);
+  });
+
+  if (strict) {
+    Object.keys(source)
+      .filter((name) => !(name in fields))
+      .forEach((name) => details.push({ location, field: `${prefix}${name}`, message: `${prefix}${name} is not allowed` }));
+  }
+};
+
+// Declarative request validation. Each of `params`, `query` and `body` maps
+// field names to rules such as { type: 'objectId', required: true } or
+// { type: 'string', trim: true, max: 200, enum: [...] }. Unknown body fields are ignored
+// unless `strict` is set. Failures reach the error handler as a 400 with
+// one entry per problem in `details`
+const validate = (schemas, { strict = false } = {}) => (req, res, next) => {
+  const details = [];
+
+  ['params', 'query', 'body'].forEach((location) => {
+    if (!schemas[location]) return;
+    checkFields(req[location] || {}, schemas[location], '', location, details, strict && location === 'body');
+  });
+
+  if (details.length > 0) {
+    return next(new ServiceError(400, details[0].message, {
+      code: 'VALIDATION_ERROR',
+      details
+    }));
+  }
+
+  next();
+};
+
+// Rules shared by many routes
+const rules = {
+  id: { type: 'objectId', required: true },
+  optionalId: { type: 'objectId' },
+  limit: { type: 'integer', min: 1 },
+  page: { type: 'integer', min: 1 },
+  // Message cursors accept either a message ID or a timestamp
+  cursor: { type: 'string' }
+};
+
+module.exports = {
+  validate,
+  rules
+};
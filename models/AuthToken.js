@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens mailed to users. Only a hash is stored, so a database
+// leak doesn't hand out working links
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ tokenHash: 1 }, { unique: true });
+authTokenSchema.index({ user: 1, type: 1 });
+
+// Expired tokens are useless, let MongoDB remove them
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
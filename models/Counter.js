@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Named sequences. $inc on a single document is atomic, so every caller gets
+// its own block of numbers
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Reserve `count` numbers and return the last one
+counterSchema.statics.next = async function(name, count = 1) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+counterSchema.statics.current = async function(name) {
+  const counter = await this.findById(name);
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
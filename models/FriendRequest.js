@@ -20,6 +20,9 @@ const friendRequestSchema = new mongoose.Schema({
     type: String,
     maxlength: 200,
     default: ''
+  },
+  pairKey: {
+    type: String
   }
 }, {
   timestamps: true
@@ -28,35 +31,24 @@ const friendRequestSchema = new mongoose.Schema({
 // Prevent duplicate friend requests
 friendRequestSchema.index({ sender: 1, recipient: 1 }, { unique: true });
 
-// Static method to check if users are already friends or have pending request
-friendRequestSchema.statics.checkExistingRelation = async function(senderId, recipientId) {
-  const User = mongoose.model('User');
-  
-  // Check if they are already friends
-  const sender = await User.findById(senderId);
-  if (sender.friends.includes(recipientId)) {
-    return { type: 'friends', message: 'You are already friends with this user' };
-  }
-  
-  // Check for existing friend request
-  const existingRequest = await this.findOne({
-    $or: [
-      { sender: senderId, recipient: recipientId },
-      { sender: recipientId, recipient: senderId }
-    ],
-    status: 'pending'
-  });
-  
-  if (existingRequest) {
-    if (existingRequest.sender.toString() === senderId) {
-      return { type: 'sent', message: 'Friend request already sent' };
-    } else {
-      return { type: 'received', message: 'You have a pending friend request from this user' };
-    }
-  }
-  
-  return { type: 'none', message: 'No existing relation' };
+// Two users asking each other at the same moment can't both end up pending;
+// the loser of the race retries and accepts the other request instead.
+// Requests saved before pairKey existed are filled in by the repair job
+friendRequestSchema.index(
+  { pairKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', pairKey: { $exists: true } } }
+);
+
+// Same key for both directions, so a pair of users can have at most one
+// pending request between them (see the index above)
+friendRequestSchema.statics.pairKey = function(userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(':');
 };
 
+friendRequestSchema.pre('validate', function(next) {
+  this.pairKey = this.constructor.pairKey(this.sender, this.recipient);
+  next();
+});
+
 module.exports = mongoose.model('FriendRequest', friendRequestSchema);
 
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member'
+  },
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 1,
+    maxlength: 50
+  },
+  avatar: {
+    type: String,
+    default: ''
+  },
+  members: [memberSchema],
+  lastMessageAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's groups
+groupSchema.index({ 'members.user': 1, lastMessageAt: -1 });
+
+// Get a user's membership entry, or undefined if they are not in the group
+groupSchema.methods.getMember = function(userId) {
+  // `user` may be populated, so compare on the underlying id
+  return this.members.find((member) => {
+    const memberId = member.user._id || member.user;
+    return memberId.toString() === userId.toString();
+  });
+};
+
+groupSchema.methods.isMember = function(userId) {
+  return Boolean(this.getMember(userId));
+};
+
+// Owners and admins can rename the group and manage members
+groupSchema.methods.isAdmin = function(userId) {
+  const member = this.getMember(userId);
+  return Boolean(member) && ['owner', 'admin'].includes(member.role);
+};
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -1,19 +1,132 @@
 const mongoose = require('mongoose');
 
+// File or image stored through the storage adapter; downloads go through
+// the messages API so only conversation participants can fetch them
+const attachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String
+  },
+  thumbnailKey: {
+    type: String
+  },
+  thumbnailUrl: {
+    type: String
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+// [{ emoji, count, users }] in the order each emoji was first used; users are
+// ids, or profiles if the reactions were populated
+const summarizeReactions = (reactions) => {
+  const byEmoji = new Map();
+  reactions.forEach(({ emoji, user }) => {
+    const entry = byEmoji.get(emoji) || { emoji, count: 0, users: [] };
+    entry.count += 1;
+    entry.users.push(user);
+    byEmoji.set(emoji, entry);
+  });
+  return [...byEmoji.values()];
+};
+
+// One per user per emoji
+const reactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true,
+    maxlength: 32
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// What the parent looked like when the reply was written, so the quote still
+// shows if the parent scrolls out of the loaded history. Cleared if the
+// parent is deleted for everyone
+const replySnapshotSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  messageType: {
+    type: String
+  },
+  attachmentName: {
+    type: String
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
 const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set for 1:1 messages; group messages use `group` instead
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.group;
+    }
   },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  // Optional caption for attachments; cleared when the sender deletes the
+  // message for everyone
   content: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.isDeleted && !this.attachment;
+    },
     trim: true,
     maxlength: 1000
   },
@@ -22,6 +135,27 @@ const messageSchema = new mongoose.Schema({
     enum: ['text', 'image', 'file'],
     default: 'text'
   },
+  attachment: {
+    type: attachmentSchema
+  },
+  replyTo: {
+    type: replySnapshotSchema
+  },
+  // Copied from another conversation; where from is not shown
+  isForwarded: {
+    type: Boolean,
+    default: false
+  },
+  reactions: [reactionSchema],
+  // Receipt state for 1:1 messages; `isRead`/`readAt` mirror the `read` state
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent'
+  },
+  deliveredAt: {
+    type: Date
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -35,14 +169,58 @@ const messageSchema = new mongoose.Schema({
   },
   editedAt: {
     type: Date
+  },
+  // Prior versions of the content, oldest first
+  editHistory: [{
+    content: String,
+    editedAt: Date,
+    _id: false
+  }],
+  // Users who deleted the message for themselves only
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Clients get reactions grouped per emoji rather than one entry per user
+    transform: (doc, ret) => {
+      if (Array.isArray(doc.reactions)) {
+        ret.reactions = summarizeReactions(doc.reactions);
+      }
+      return ret;
+    }
+  }
 });
 
+// Download URLs are served by the messages API, keyed by message id
+messageSchema.methods.setAttachmentUrls = function() {
+  if (!this.attachment) return;
+
+  this.attachment.url = `/api/messages/${this._id}/attachment`;
+  if (this.attachment.thumbnailKey) {
+    this.attachment.thumbnailUrl = `/api/messages/${this._id}/attachment/thumbnail`;
+  }
+};
+
 // Index for efficient querying of conversations
 messageSchema.index({ sender: 1, recipient: 1, createdAt: -1 });
 messageSchema.index({ recipient: 1, isRead: 1 });
+messageSchema.index({ recipient: 1, status: 1 });
+
+// Full-text search; no language so stemming/stop words don't mangle non-English chats
+messageSchema.index({ content: 'text' }, { default_language: 'none' });
+messageSchema.index({ group: 1, createdAt: -1 });
+messageSchema.index({ 'replyTo.message': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Message', messageSchema);
+module.exports.summarizeReactions = summarizeReactions;
 
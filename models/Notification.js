@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['friend_request', 'friend_accepted', 'mention', 'group_invite'];
+
+// Preferences also cover plain messages, which are pushed but never stored
+const PREFERENCE_TYPES = [...NOTIFICATION_TYPES, 'message'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // The user whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Ids needed to open the related item (friendRequest, group, message)
+  data: {
+    friendRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FriendRequest'
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    }
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports.PREFERENCE_TYPES = PREFERENCE_TYPES;
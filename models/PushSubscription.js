@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A browser/device Web Push subscription. Tied to the login session that
+// registered it so signing out of a device stops its pushes
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ user: 1 });
+pushSubscriptionSchema.index({ session: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
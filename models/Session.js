@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One session per signed-in device. The refresh token rotates on every use;
+// the hashes of spent tokens are kept so replaying one can be detected and
+// the whole session (token family) killed
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    type: String
+  }],
+  deviceName: {
+    type: String,
+    maxlength: 100,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How long changes are kept for clients catching up; older cursors get a reset
+const RETENTION_DAYS = parseInt(process.env.SYNC_RETENTION_DAYS) || 30;
+
+// One change a client may have missed while offline. `type` and `data` are
+// the socket event and payload that went out live, so clients can replay
+// them through the same handlers. Events reach the listed users, or the
+// members of `group` at the time they sync
+const syncEventSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true
+  },
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Messages whose content `data` carries (the message itself and the one it
+  // quotes), so deleting one for everyone can scrub it from stored events
+  messages: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    }],
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+syncEventSchema.index({ seq: 1 }, { unique: true });
+syncEventSchema.index({ users: 1, seq: 1 });
+syncEventSchema.index({ group: 1, seq: 1 }, { partialFilterExpression: { group: { $exists: true } } });
+syncEventSchema.index({ messages: 1 }, { sparse: true });
+syncEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SyncEvent', syncEventSchema);
@@ -1,6 +1,63 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Per notification type: whether to keep it in the notification center and
+// whether to push it live
+const notificationPreferenceSchema = new mongoose.Schema({
+  store: {
+    type: Boolean,
+    default: true
+  },
+  push: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  _id: false
+});
+
+const VISIBILITY = ['everyone', 'friends', 'nobody'];
+
+// Who can see what, and who may send friend requests
+const privacySchema = new mongoose.Schema({
+  lastSeen: {
+    type: String,
+    enum: VISIBILITY,
+    default: 'everyone'
+  },
+  onlineStatus: {
+    type: String,
+    enum: VISIBILITY,
+    default: 'everyone'
+  },
+  email: {
+    type: String,
+    enum: VISIBILITY,
+    default: 'friends'
+  },
+  bio: {
+    type: String,
+    enum: VISIBILITY,
+    default: 'everyone'
+  },
+  avatar: {
+    type: String,
+    enum: VISIBILITY,
+    default: 'everyone'
+  },
+  friendRequests: {
+    type: String,
+    enum: ['everyone', 'friends_of_friends', 'nobody'],
+    default: 'everyone'
+  },
+  readReceipts: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  _id: false
+});
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -10,6 +67,11 @@ const userSchema = new mongoose.Schema({
     minlength: 3,
     maxlength: 20
   },
+  // Lowercased copy of username so case-insensitive prefix search can use an index
+  usernameLower: {
+    type: String,
+    index: true
+  },
   email: {
     type: String,
     required: true,
@@ -17,6 +79,13 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: true,
@@ -39,6 +108,27 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Users this user has blocked; blocking works in both directions
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users whose messages and requests arrive without notifications
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  privacy: {
+    type: privacySchema,
+    default: () => ({})
+  },
+  notificationPreferences: {
+    friend_request: { type: notificationPreferenceSchema, default: () => ({}) },
+    friend_accepted: { type: notificationPreferenceSchema, default: () => ({}) },
+    mention: { type: notificationPreferenceSchema, default: () => ({}) },
+    group_invite: { type: notificationPreferenceSchema, default: () => ({}) },
+    message: { type: notificationPreferenceSchema, default: () => ({}) }
+  },
   bio: {
     type: String,
     maxlength: 150,
@@ -48,6 +138,16 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index({ blockedUsers: 1 });
+
+// Keep the search key in step with the username
+userSchema.pre('save', function(next) {
+  if (this.isModified('username') || !this.usernameLower) {
+    this.usernameLower = this.username.toLowerCase();
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -66,6 +166,27 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// True if either user has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return Boolean(blocked);
+};
+
+// Ids hidden from a user: everyone they blocked and everyone who blocked them
+userSchema.statics.getBlockedIds = async function(userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).distinct('_id')
+  ]);
+
+  return [...(user ? user.blockedUsers : []), ...blockedBy];
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
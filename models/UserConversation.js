@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Mutes without an end date run until this
+const MUTE_FOREVER = new Date('9999-12-31T23:59:59.999Z');
+
+// One user's own settings for one conversation: a 1:1 chat with `peer` or a
+// group. Nothing here is visible to the other participants. 1:1 chats also
+// keep a summary (last message, unread count, last activity) so the
+// conversation list doesn't have to scan messages
+const userConversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for 1:1 chats; group chats use `group` instead
+  peer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.group;
+    }
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  pinnedAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  },
+  // Muted while in the future; expired mutes need no cleanup
+  mutedUntil: {
+    type: Date
+  },
+  // "Mark as unread": shown as unread until the user opens the conversation
+  markedUnread: {
+    type: Boolean,
+    default: false
+  },
+  draft: {
+    content: {
+      type: String,
+      maxlength: 1000,
+      default: ''
+    },
+    updatedAt: {
+      type: Date
+    }
+  },
+  // Latest message this user can see, as shown in the conversation list
+  lastMessage: {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    content: {
+      type: String
+    },
+    messageType: {
+      type: String
+    },
+    isDeleted: {
+      type: Boolean
+    },
+    createdAt: {
+      type: Date
+    }
+  },
+  lastActivityAt: {
+    type: Date
+  },
+  // Messages from `peer` this user hasn't read yet
+  unreadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Missing peer/group count as null, so one index covers both kinds
+userConversationSchema.index({ user: 1, peer: 1, group: 1 }, { unique: true });
+// Conversation list: pinned ones, then the rest by latest activity
+userConversationSchema.index({ user: 1, pinnedAt: 1, lastActivityAt: -1, _id: -1 });
+
+module.exports = mongoose.model('UserConversation', userConversationSchema);
+module.exports.MUTE_FOREVER = MUTE_FOREVER;
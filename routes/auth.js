@@ -1,230 +1,359 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const friendEvents = require('../services/friendEvents');
+const lockout = require('../services/rateLimit/lockout');
+const { rateLimit, tooManyRequests } = require('../middleware/rateLimit');
+const { validate, rules } = require('../middleware/validate');
+const ServiceError = require('../utils/ServiceError');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
+const password = { type: 'string', required: true, min: 6 };
 
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
-router.post('/signup', async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
-
-    // Validation
-    if (!username || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide username, email, and password'
-      });
-    }
+router.post('/signup', rateLimit('signupIp'), validate({
+  body: {
+    username: { type: 'string', required: true, min: 3, max: 20 },
+    email: { type: 'email', required: true },
+    password
+  }
+}), async (req, res) => {
+  const { username, email, password } = req.body;
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
+  // Check if user already exists
+  const existingUser = await User.findOne({
+    $or: [{ email: email.trim().toLowerCase() }, { username }]
+  });
 
-    // Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }]
+  if (existingUser) {
+    const field = existingUser.username === username ? 'username' : 'email';
+    const message = field === 'email' ? 'Email already registered' : 'Username already taken';
+    throw new ServiceError(409, message, {
+      code: 'DUPLICATE_KEY',
+      details: [{ location: 'body', field, message }]
     });
+  }
 
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: existingUser.email === email ? 'Email already registered' : 'Username already taken'
-      });
-    }
+  // Create new user
+  const user = new User({
+    username,
+    email,
+    password
+  });
 
-    // Create new user
-    const user = new User({
-      username,
-      email,
-      password
-    });
+  await user.save();
 
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        bio: user.bio
-      }
-    });
-  } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration'
-    });
-  }
+  // A mail failure shouldn't fail the signup; the user can ask for a resend
+  accountService.sendVerificationEmail(user).catch((error) => {
+    console.error('Send verification email error:', error);
+  });
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const tokens = await sessionService.createSession(user._id, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      avatar: user.avatar,
+      bio: user.bio
+    }
+  });
 });
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-
-    // Validation
-    if (!username || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide username and password'
-      });
-    }
+router.post('/login', rateLimit('loginIp'), validate({
+  body: {
+    username: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  const { username, password } = req.body;
 
-    // Find user by username or email
-    const user = await User.findOne({
-      $or: [{ username }, { email: username }]
-    });
+  // Refuse while the account is locked out after repeated failures
+  const lockedFor = await lockout.getLockout(username);
+  if (lockedFor) {
+    return tooManyRequests(res, lockedFor, 'Too many failed login attempts, please try again later');
+  }
 
-    if (!user) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+  // Find user by username or email
+  const user = await User.findOne({
+    $or: [{ username }, { email: username }]
+  });
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+  // Check password
+  if (!user || !(await user.comparePassword(password))) {
+    await lockout.recordFailure(username);
+    throw new ServiceError(400, 'Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+  }
 
-    // Update user status to online
-    user.status = 'online';
-    user.lastSeen = new Date();
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        bio: user.bio,
-        status: user.status
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during login'
+  await lockout.recordSuccess(username);
+
+  // Unverified accounts can be locked out until they confirm their email
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+    throw new ServiceError(403, 'Please verify your email address before logging in', {
+      code: 'EMAIL_NOT_VERIFIED'
     });
   }
+
+  // Update user status to online
+  user.status = 'online';
+  user.lastSeen = new Date();
+  await user.save();
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const tokens = await sessionService.createSession(user._id, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      avatar: user.avatar,
+      bio: user.bio,
+      status: user.status
+    }
+  });
 });
 
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
 router.get('/me', auth, async (req, res) => {
-  try {
-    res.json({
-      success: true,
-      user: {
-        id: req.user._id,
-        username: req.user.username,
-        email: req.user.email,
-        avatar: req.user.avatar,
-        bio: req.user.bio,
-        status: req.user.status,
-        friends: req.user.friends
-      }
-    });
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
+  res.json({
+    success: true,
+    user: {
+      id: req.user._id,
+      username: req.user.username,
+      email: req.user.email,
+      emailVerified: req.user.emailVerified,
+      avatar: req.user.avatar,
+      bio: req.user.bio,
+      status: req.user.status,
+      friends: req.user.friends
+    }
+  });
 });
 
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', auth, async (req, res) => {
-  try {
-    const { bio, avatar } = req.body;
-    const user = req.user;
-
-    if (bio !== undefined) user.bio = bio;
-    if (avatar !== undefined) user.avatar = avatar;
-
-    await user.save();
-
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        bio: user.bio,
-        status: user.status
-      }
-    });
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+router.put('/profile', auth, validate({
+  body: {
+    bio: { type: 'string', max: 150 },
+    avatar: { type: 'string' }
   }
+}), async (req, res) => {
+  const { bio, avatar } = req.body;
+  const user = req.user;
+
+  if (bio !== undefined) user.bio = bio;
+  if (avatar !== undefined) user.avatar = avatar;
+
+  await user.save();
+
+  friendEvents.profileUpdated(user._id).catch((error) => {
+    console.error('Profile update event error:', error);
+  });
+
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      avatar: user.avatar,
+      bio: user.bio,
+      status: user.status
+    }
+  });
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', rateLimit('refreshIp'), validate({
+  body: {
+    refreshToken: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  const tokens = await sessionService.rotateRefreshToken(req.body.refreshToken, req);
+
+  res.json({
+    success: true,
+    ...tokens
+  });
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user and revoke the current session. Its sockets are
+//          dropped; presence decides whether the user is still online elsewhere
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
-  try {
-    // Update user status to offline
-    req.user.status = 'offline';
-    req.user.lastSeen = new Date();
-    await req.user.save();
-
-    res.json({
-      success: true,
-      message: 'Logged out successfully'
-    });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  await sessionService.revokeSession(req.authSession._id, 'logout');
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  res.json({
+    success: true,
+    sessions: sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, validate({
+  params: { id: rules.id }
+}), async (req, res) => {
+  const revoked = await sessionService.revokeUserSession(req.user._id, req.params.id);
+
+  if (!revoked) {
+    throw new ServiceError(404, 'Session not found');
   }
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
 });
 
-module.exports = router;
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all other sessions, or every session with ?includeCurrent=true
+// @access  Private
+router.delete('/sessions', auth, validate({
+  query: {
+    includeCurrent: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  const includeCurrent = req.query.includeCurrent === 'true';
+
+  const revoked = await sessionService.revokeAllSessions(req.user._id, {
+    exceptSessionId: includeCurrent ? null : req.authSession._id
+  });
 
+  res.json({
+    success: true,
+    message: 'Sessions revoked successfully',
+    revoked
+  });
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification mail
+// @access  Public
+router.post('/verify-email', validate({
+  body: {
+    token: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  await accountService.verifyEmail(req.body.token);
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/verify-email/resend', auth, rateLimit('verificationResendUser', { keyBy: 'user' }), async (req, res) => {
+  await accountService.sendVerificationEmail(req.user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link if the address is registered
+// @access  Public
+router.post('/forgot-password', rateLimit('passwordResetIp'), validate({
+  body: {
+    email: { type: 'email', required: true }
+  }
+}), async (req, res) => {
+  await accountService.requestPasswordReset(req.body.email);
+
+  res.json({
+    success: true,
+    message: 'If that email is registered, a reset link has been sent'
+  });
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset mail; signs out every session
+// @access  Public
+router.post('/reset-password', rateLimit('passwordResetIp'), validate({
+  body: {
+    token: { type: 'string', required: true },
+    password
+  }
+}), async (req, res) => {
+  const { token, password } = req.body;
+
+  await accountService.resetPassword(token, password);
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully'
+  });
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password and sign out all other sessions
+// @access  Private
+router.put('/password', auth, validate({
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword: password
+  }
+}), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  await accountService.changePassword(
+    req.user._id,
+    currentPassword,
+    newPassword,
+    req.authSession._id
+  );
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const { quotas } = require('../config/rateLimits');
+
+// The auth middleware takes verifyAccessToken at require time
+jest.mock('../services/sessionService', () => ({
+  ...jest.requireActual('../services/sessionService'),
+  verifyAccessToken: jest.fn()
+}));
+
+const { createServer } = require('../server');
+
+describe('auth routes', () => {
+  let node;
+  let baseUrl;
+  let user;
+  let session;
+
+  const post = (path) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer token' }
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    node = createServer({ nodeId: 'auth-test' });
+    const { port } = await node.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}/api/auth`;
+  });
+
+  afterAll(() => node.close());
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret1', status: 'online' });
+    session = { _id: new mongoose.Types.ObjectId() };
+    sessionService.verifyAccessToken.mockResolvedValue({ user, session, decoded: {} });
+  });
+
+  describe('POST /logout', () => {
+    it('revokes only the current session and leaves the status to presence', async () => {
+      const revokeSession = jest.spyOn(sessionService, 'revokeSession').mockResolvedValue();
+      const revokeAllSessions = jest.spyOn(sessionService, 'revokeAllSessions');
+      const save = jest.spyOn(user, 'save');
+
+      const res = await post('/logout');
+
+      expect(res.status).toBe(200);
+      expect(revokeSession).toHaveBeenCalledWith(session._id, 'logout');
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+      expect(save).not.toHaveBeenCalled();
+      expect(user.status).toBe('online');
+    });
+  });
+
+  describe('POST /verify-email/resend', () => {
+    it('limits how often one user can ask for a new mail', async () => {
+      const send = jest.spyOn(accountService, 'sendVerificationEmail').mockResolvedValue();
+      const { max } = quotas.verificationResendUser;
+
+      for (let i = 0; i < max; i += 1) {
+        expect((await post('/verify-email/resend')).status).toBe(200);
+      }
+      const res = await post('/verify-email/resend');
+
+      expect(res.status).toBe(429);
+      expect(res.headers.get('retry-after')).toBeTruthy();
+      expect(send).toHaveBeenCalledTimes(max);
+    });
+  });
+});
@@ -0,0 +1,466 @@
+const express = require('express');
+const Group = require('../models/Group');
+const Message = require('../models/Message');
+const auth = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate, rules } = require('../middleware/validate');
+const messageService = require('../services/messageService');
+const attachmentService = require('../services/attachmentService');
+const realtime = require('../services/realtime');
+const notificationService = require('../services/notificationService');
+const privacyService = require('../services/privacyService');
+const conversationService = require('../services/conversationService');
+const ServiceError = require('../utils/ServiceError');
+
+const router = express.Router();
+
+const MESSAGE_TYPES = Message.schema.path('messageType').enumValues;
+
+const groupIdParams = { params: { id: rules.id } };
+const memberParams = { params: { id: rules.id, userId: rules.id } };
+const groupName = { type: 'string', trim: true, min: 1, max: 50 };
+
+const MEMBER_FIELDS = `username avatar ${privacyService.PRIVACY_FIELDS}`;
+
+// De-duplicate requested member ids, leaving out the requesting user
+const uniqueOtherIds = (user, userIds) => {
+  const ids = new Set(userIds.map((id) => id.toString()));
+  ids.delete(user._id.toString());
+  return [...ids];
+};
+
+// Only friends of the inviting user can be added to a group
+const areAllFriends = (user, userIds) => userIds.every((id) => user.friends.includes(id));
+
+// Leave a notification for everyone who was just added to a group
+const notifyInvited = (group, userIds, actorId) => {
+  userIds.forEach((id) => {
+    notificationService.notify({
+      recipientId: id,
+      type: 'group_invite',
+      actorId,
+      data: { group: group._id }
+    }).catch((error) => console.error('Group invite notification error:', error));
+  });
+};
+
+// The group with its members' profiles as `viewerId` may see them
+const groupForViewer = (group, viewerId) => ({
+  ...group.toObject(),
+  members: group.members.map((member) => ({
+    ...member.toObject(),
+    user: member.user && privacyService.filterProfile(member.user, viewerId)
+  }))
+});
+
+// Load a group and make sure the current user belongs to it
+const findGroupForMember = async (groupId, userId) => {
+  const group = await Group.findById(groupId);
+  if (!group || !group.isMember(userId)) {
+    return null;
+  }
+  return group;
+};
+
+// @route   POST /api/groups
+// @desc    Create a group with the current user as owner
+// @access  Private
+router.post('/', auth, validate({
+  body: {
+    name: { ...groupName, required: true },
+    avatar: { type: 'string' },
+    memberIds: { type: 'array', items: rules.id }
+  }
+}), async (req, res) => {
+  const { name, avatar, memberIds = [] } = req.body;
+  const userId = req.user._id;
+
+  const friendIds = uniqueOtherIds(req.user, memberIds);
+  if (!areAllFriends(req.user, friendIds)) {
+    throw new ServiceError(403, 'You can only add your friends to a group');
+  }
+
+  const group = new Group({
+    name: name.trim(),
+    avatar: avatar || '',
+    members: [
+      { user: userId, role: 'owner' },
+      ...friendIds.map((id) => ({ user: id, role: 'member' }))
+    ]
+  });
+
+  await group.save();
+  await group.populate('members.user', MEMBER_FIELDS);
+
+  // Put every member's sockets in the group room and let them know
+  group.members.forEach((member) => {
+    realtime.joinUserToRoom(member.user._id, realtime.groupRoom(group._id));
+    realtime.emitToUser(member.user._id, 'group_added', groupForViewer(group, member.user._id));
+  });
+
+  notifyInvited(group, friendIds, userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Group created successfully',
+    group: groupForViewer(group, userId)
+  });
+});
+
+// @route   GET /api/groups
+// @desc    Get the current user's groups with their unread counts and
+//          conversation state, pinned first; archived ones only with ?includeArchived=true
+// @access  Private
+router.get('/', auth, validate({
+  query: { includeArchived: { type: 'boolean' } }
+}), async (req, res) => {
+  const userId = req.user._id;
+  const includeArchived = req.query.includeArchived === 'true';
+
+  const groups = await Group.find({ 'members.user': userId })
+    .populate('members.user', MEMBER_FIELDS)
+    .sort({ lastMessageAt: -1, updatedAt: -1 });
+
+  const states = await conversationService.getStates(userId, {
+    groupIds: groups.map((group) => group._id)
+  });
+
+  const visible = groups
+    .map((group) => ({
+      ...groupForViewer(group, userId),
+      unreadCount: group.getMember(userId).unreadCount,
+      state: states.get(group._id.toString()) || conversationService.describeState(null)
+    }))
+    .filter((group) => includeArchived || !group.state.archived);
+
+  res.json({
+    success: true,
+    groups: conversationService.sortByState(visible, (group) => group.lastMessageAt || group.updatedAt)
+  });
+});
+
+// @route   GET /api/groups/:id
+// @desc    Get group details
+// @access  Private
+router.get('/:id', auth, validate(groupIdParams), async (req, res) => {
+  const group = await findGroupForMember(req.params.id, req.user._id);
+  if (!group) {
+    throw new ServiceError(404, 'Group not found');
+  }
+
+  await group.populate('members.user', `username avatar bio status lastSeen ${privacyService.PRIVACY_FIELDS}`);
+
+  res.json({
+    success: true,
+    group: groupForViewer(group, req.user._id)
+  });
+});
+
+// @route   PUT /api/groups/:id
+// @desc    Rename the group or change its avatar
+// @access  Private (owner/admin)
+router.put('/:id', auth, validate({
+  ...groupIdParams,
+  body: {
+    name: groupName,
+    avatar: { type: 'string' }
+  }
+}), async (req, res) => {
+  const { name, avatar } = req.body;
+  const group = await findGroupForMember(req.params.id, req.user._id);
+
+  if (!group) {
+    throw new ServiceError(404, 'Group not found');
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    throw new ServiceError(403, 'Only group admins can update the group');
+  }
+
+  if (name !== undefined) group.name = name.trim();
+  if (avatar !== undefined) group.avatar = avatar;
+
+  await group.save();
+
+  realtime.emitToGroup(group._id, 'group_updated', {
+    groupId: group._id,
+    name: group.name,
+    avatar: group.avatar
+  });
+
+  res.json({
+    success: true,
+    message: 'Group updated successfully',
+    group
+  });
+});
+
+// @route   POST /api/groups/:id/members
+// @desc    Invite friends to the group
+// @access  Private (owner/admin)
+router.post('/:id/members', auth, validate({
+  ...groupIdParams,
+  body: {
+    userIds: { type: 'array', required: true, min: 1, items: rules.id }
+  }
+}), async (req, res) => {
+  const { userIds } = req.body;
+  const group = await findGroupForMember(req.params.id, req.user._id);
+
+  if (!group) {
+    throw new ServiceError(404, 'Group not found');
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    throw new ServiceError(403, 'Only group admins can add members');
+  }
+
+  const friendIds = uniqueOtherIds(req.user, userIds);
+  if (!areAllFriends(req.user, friendIds)) {
+    throw new ServiceError(403, 'You can only add your friends to a group');
+  }
+
+  const newIds = friendIds.filter((id) => !group.isMember(id));
+  if (newIds.length === 0) {
+    throw new ServiceError(400, 'These users are already members');
+  }
+
+  newIds.forEach((id) => group.members.push({ user: id, role: 'member' }));
+  await group.save();
+  await group.populate('members.user', MEMBER_FIELDS);
+
+  const room = realtime.groupRoom(group._id);
+  newIds.forEach((id) => {
+    realtime.joinUserToRoom(id, room);
+    realtime.emitToUser(id, 'group_added', groupForViewer(group, id));
+  });
+
+  realtime.emitToGroup(group._id, 'group_member_added', {
+    groupId: group._id,
+    userIds: newIds,
+    addedBy: req.user._id
+  });
+
+  notifyInvited(group, newIds, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Members added successfully',
+    group: groupForViewer(group, req.user._id)
+  });
+});
+
+// @route   DELETE /api/groups/:id/members/:userId
+// @desc    Remove a member from the group
+// @access  Private (owner/admin)
+router.delete('/:id/members/:userId', auth, validate(memberParams), async (req, res) => {
+  const currentUserId = req.user._id;
+  const targetId = req.params.userId;
+  const group = await findGroupForMember(req.params.id, currentUserId);
+
+  if (!group) {
+    throw new ServiceError(404, 'Group not found');
+  }
+
+  if (targetId === currentUserId.toString()) {
+    throw new ServiceError(400, 'Use the leave endpoint to leave a group');
+  }
+
+  const actor = group.getMember(currentUserId);
+  const target = group.getMember(targetId);
+
+  if (!target) {
+    throw new ServiceError(404, 'User is not a member of this group');
+  }
+
+  // Admins can remove members; only the owner can remove admins
+  const canRemove = actor.role === 'owner' ||
+    (actor.role === 'admin' && target.role === 'member');
+
+  if (!canRemove) {
+    throw new ServiceError(403, 'You do not have permission to remove this member');
+  }
+
+  group.members.pull(target);
+  await group.save();
+
+  realtime.emitToGroup(group._id, 'group_member_removed', {
+    groupId: group._id,
+    userId: targetId,
+    removedBy: currentUserId
+  });
+  realtime.removeUserFromRoom(targetId, realtime.groupRoom(group._id));
+
+  res.json({
+    success: true,
+    message: 'Member removed successfully'
+  });
+});
+
+// @route   PUT /api/groups/:id/members/:userId/role
+// @desc    Promote a member to admin or demote an admin
+// @access  Private (owner)
+router.put('/:id/members/:userId/role', auth, validate({
+  ...memberParams,
+  body: {
+    role: { type: 'string', required: true, enum: ['admin', 'member'] }
+  }
+}), async (req, res) => {
+  const { role } = req.body;
+  const group = await findGroupForMember(req.params.id, req.user._id);
+
+  if (!group) {
+    throw new ServiceError(404, 'Group not found');
+  }
+
+  if (group.getMember(req.user._id).role !== 'owner') {
+    throw new ServiceError(403, 'Only the group owner can change roles');
+  }
+
+  const target = group.getMember(req.params.userId);
+  if (!target || target.role === 'owner') {
+    throw new ServiceError(400, 'Cannot change the role of this user');
+  }
+
+  target.role = role;
+  await group.save();
+
+  realtime.emitToGroup(group._id, 'group_member_role_changed', {
+    groupId: group._id,
+    userId: req.params.userId,
+    role
+  });
+
+  res.json({
+    success: true,
+    message: 'Member role updated successfully',
+    group
+  });
+});
+
+// @route   POST /api/groups/:id/leave
+// @desc    Leave a group; ownership passes on if the owner leaves
+// @access  Private
+router.post('/:id/leave', auth, validate(groupIdParams), async (req, res) => {
+  const userId = req.user._id;
+  const group = await findGroupForMember(req.params.id, userId);
+
+  if (!group) {
+    throw new ServiceError(404, 'Group not found');
+  }
+
+  const member = group.getMember(userId);
+  group.members.pull(member);
+
+  realtime.removeUserFromRoom(userId, realtime.groupRoom(group._id));
+
+  // Last one out deletes the group and its history, stored files included
+  if (group.members.length === 0) {
+    const withFiles = Message.find({ group: group._id, 'attachment.key': { $ne: null } }).select('attachment');
+    for await (const message of withFiles.cursor()) {
+      await attachmentService.removeStored(message.attachment);
+    }
+
+    await Message.deleteMany({ group: group._id });
+    await group.deleteOne();
+
+    return res.json({
+      success: true,
+      message: 'Left group successfully'
+    });
+  }
+
+  // Hand ownership to the longest-standing admin, else the longest-standing member
+  if (member.role === 'owner') {
+    const byJoinDate = [...group.members].sort((a, b) => a.joinedAt - b.joinedAt);
+    const successor = byJoinDate.find((m) => m.role === 'admin') || byJoinDate[0];
+    successor.role = 'owner';
+  }
+
+  await group.save();
+
+  realtime.emitToGroup(group._id, 'group_member_removed', {
+    groupId: group._id,
+    userId,
+    removedBy: userId
+  });
+
+  res.json({
+    success: true,
+    message: 'Left group successfully'
+  });
+});
+
+// @route   POST /api/groups/:id/messages
+// @desc    Send a message to a group, optionally replying to `replyToId`
+// @access  Private
+router.post('/:id/messages', rateLimit('messageSendIp'), auth, rateLimit('messageSendUser', { keyBy: 'user' }), validate({
+  ...groupIdParams,
+  body: {
+    content: { type: 'string', required: true, trim: true, max: 1000 },
+    messageType: { type: 'string', enum: MESSAGE_TYPES },
+    replyToId: rules.optionalId
+  }
+}), async (req, res) => {
+  const { content, messageType, replyToId } = req.body;
+
+  const message = await messageService.sendGroupMessage({
+    senderId: req.user._id,
+    groupId: req.params.id,
+    content,
+    messageType,
+    replyToId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent successfully',
+    data: message
+  });
+});
+
+// @route   GET /api/groups/:id/messages
+// @desc    Get group message history (same cursors as 1:1 conversations)
+//          and reset the user's unread count
+// @access  Private
+router.get('/:id/messages', auth, validate({
+  ...groupIdParams,
+  query: {
+    before: rules.cursor,
+    after: rules.cursor,
+    around: rules.optionalId,
+    limit: rules.limit
+  }
+}), async (req, res) => {
+  const userId = req.user._id;
+  const { before, after, around, limit } = req.query;
+
+  const group = await findGroupForMember(req.params.id, userId);
+  if (!group) {
+    throw new ServiceError(404, 'Group not found');
+  }
+
+  const { messages, pagination } = await messageService.getHistory({
+    scopes: messageService.groupScopes(group._id, userId),
+    viewerId: userId,
+    before,
+    after,
+    around,
+    limit
+  });
+
+  // Mark the group as read for this member
+  await Group.updateOne(
+    { _id: group._id, 'members.user': userId },
+    { $set: { 'members.$.unreadCount': 0 } }
+  );
+  await conversationService.clearUnreadMarker(userId, { type: 'group', id: group._id });
+
+  res.json({
+    success: true,
+    messages,
+    pagination
+  });
+});
+
+module.exports = router;
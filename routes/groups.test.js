@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Message = require('../models/Message');
+const sessionService = require('../services/sessionService');
+const { setStorage } = require('../services/storage');
+const { mockQuery } = require('../test/helpers');
+
+// The auth middleware takes verifyAccessToken at require time
+jest.mock('../services/sessionService', () => ({
+  ...jest.requireActual('../services/sessionService'),
+  verifyAccessToken: jest.fn()
+}));
+
+const { createServer } = require('../server');
+
+describe('group routes', () => {
+  let node;
+  let baseUrl;
+  let user;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    node = createServer({ nodeId: 'groups-test' });
+    const { port } = await node.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}/api/groups`;
+  });
+
+  afterAll(async () => {
+    setStorage(null);
+    await node.close();
+  });
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret1' });
+    sessionService.verifyAccessToken.mockResolvedValue({
+      user,
+      session: { _id: new mongoose.Types.ObjectId() },
+      decoded: {}
+    });
+  });
+
+  describe('POST /:id/leave', () => {
+    it('removes the stored files of a group the last member leaves', async () => {
+      const group = new Group({ name: 'Trip', members: [{ user: user._id, role: 'owner' }] });
+      const files = [
+        { key: 'a.png', thumbnailKey: 'a-thumb.jpg' },
+        { key: 'b.pdf' }
+      ];
+      const removed = [];
+      setStorage({ remove: async (key) => removed.push(key) });
+
+      jest.spyOn(Group, 'findById').mockReturnValue(mockQuery(group));
+      jest.spyOn(group, 'deleteOne').mockResolvedValue({});
+      const find = jest.spyOn(Message, 'find').mockReturnValue({
+        select: () => ({
+          cursor: async function* () {
+            yield* files.map((attachment) => ({ attachment }));
+          }
+        })
+      });
+      const deleteMany = jest.spyOn(Message, 'deleteMany').mockResolvedValue({});
+
+      const res = await fetch(`${baseUrl}/${group._id}/leave`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer token' }
+      });
+
+      expect(res.status).toBe(200);
+      expect(find).toHaveBeenCalledWith({ group: group._id, 'attachment.key': { $ne: null } });
+      expect(removed.sort()).toEqual(['a-thumb.jpg', 'a.png', 'b.pdf']);
+      expect(deleteMany).toHaveBeenCalledWith({ group: group._id });
+      expect(group.deleteOne).toHaveBeenCalled();
+    });
+  });
+});
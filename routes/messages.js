@@ -2,282 +2,461 @@ const express = require('express');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate, rules } = require('../middleware/validate');
+const messageService = require('../services/messageService');
+const attachmentService = require('../services/attachmentService');
+const receiptService = require('../services/receiptService');
+const searchService = require('../services/searchService');
+const conversationService = require('../services/conversationService');
+const conversationSummaryService = require('../services/conversationSummaryService');
+const { getStorage } = require('../services/storage');
+const ServiceError = require('../utils/ServiceError');
 
 const router = express.Router();
 
+const MESSAGE_TYPES = Message.schema.path('messageType').enumValues;
+
+const contentRule = { type: 'string', trim: true, max: 1000 };
+
+const conversationParams = {
+  params: {
+    type: { type: 'string', required: true, enum: ['user', 'group'] },
+    id: rules.id
+  }
+};
+
 // @route   POST /api/messages/send
-// @desc    Send a message
+// @desc    Send a message, optionally as a reply (`replyToId`) quoting an earlier one
 // @access  Private
-router.post('/send', auth, async (req, res) => {
+router.post('/send', rateLimit('messageSendIp'), auth, rateLimit('messageSendUser', { keyBy: 'user' }), validate({
+  body: {
+    recipientId: rules.id,
+    content: { ...contentRule, required: true },
+    messageType: { type: 'string', enum: MESSAGE_TYPES },
+    replyToId: rules.optionalId
+  }
+}), async (req, res) => {
+  const { recipientId, content, messageType, replyToId } = req.body;
+
+  const message = await messageService.sendMessage({
+    senderId: req.user._id,
+    recipientId,
+    content,
+    messageType,
+    replyToId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent successfully',
+    data: message
+  });
+});
+
+// @route   POST /api/messages/upload
+// @desc    Send a file or image (multipart field `file`) to a friend
+//          (`recipientId`) or a group (`groupId`), with an optional caption
+//          and `replyToId`
+// @access  Private
+router.post('/upload', auth, rateLimit('uploadUser', { keyBy: 'user' }), singleFile('file'), validate({
+  body: {
+    recipientId: rules.optionalId,
+    groupId: rules.optionalId,
+    content: contentRule,
+    replyToId: rules.optionalId
+  }
+}), async (req, res) => {
+  const { recipientId, groupId, content, replyToId } = req.body || {};
+
+  if (!recipientId && !groupId) {
+    throw new ServiceError(400, 'Recipient ID or group ID is required', { code: 'VALIDATION_ERROR' });
+  }
+
+  let attachment;
+
   try {
-    const { recipientId, content, messageType = 'text' } = req.body;
-    const senderId = req.user._id;
-
-    if (!recipientId || !content) {
-      return res.status(400).json({
-        success: false,
-        message: 'Recipient ID and content are required'
-      });
-    }
-
-    // Check if recipient exists and is a friend
-    const sender = await User.findById(senderId);
-    if (!sender.friends.includes(recipientId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only send messages to your friends'
-      });
-    }
-
-    // Create message
-    const message = new Message({
-      sender: senderId,
-      recipient: recipientId,
-      content: content.trim(),
-      messageType
-    });
+    const stored = await attachmentService.storeUpload(req.file);
+    attachment = stored.attachment;
 
-    await message.save();
+    const payload = {
+      senderId: req.user._id,
+      content,
+      messageType: stored.messageType,
+      attachment,
+      replyToId
+    };
 
-    // Populate sender info for response
-    await message.populate('sender', 'username avatar');
+    const message = groupId
+      ? await messageService.sendGroupMessage({ ...payload, groupId })
+      : await messageService.sendMessage({ ...payload, recipientId });
 
     res.status(201).json({
       success: true,
-      message: 'Message sent successfully',
+      message: 'File sent successfully',
       data: message
     });
   } catch (error) {
-    console.error('Send message error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    // Don't leave orphaned files behind if the message was rejected
+    await attachmentService.removeStored(attachment);
+    throw error;
   }
 });
 
+// Stream an attachment (or its thumbnail) to a conversation participant
+const sendAttachment = (variant) => async (req, res) => {
+  const message = await messageService.findVisibleMessage(req.params.id, req.user._id);
+  const { attachment } = message;
+  const key = variant === 'thumbnail' ? attachment?.thumbnailKey : attachment?.key;
+
+  const storage = getStorage();
+  if (!key || !(await storage.exists(key))) {
+    throw new ServiceError(404, 'Attachment not found');
+  }
+
+  const fileName = encodeURIComponent(attachment.name);
+  res.set({
+    'Content-Type': variant === 'thumbnail' ? 'image/jpeg' : attachment.mimeType,
+    'Content-Disposition': `${variant === 'thumbnail' ? 'inline' : 'attachment'}; filename*=UTF-8''${fileName}`,
+    'Cache-Control': 'private, max-age=86400',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  storage.createReadStream(key)
+    .on('error', (error) => {
+      console.error('Stream attachment error:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+};
+
+const messageIdParams = { params: { id: rules.id } };
+
+// @route   GET /api/messages/:id/attachment
+// @desc    Download a message attachment
+// @access  Private (conversation participants)
+router.get('/:id/attachment', auth, validate(messageIdParams), sendAttachment('file'));
+
+// @route   GET /api/messages/:id/attachment/thumbnail
+// @desc    Get the thumbnail of an image attachment
+// @access  Private (conversation participants)
+router.get('/:id/attachment/thumbnail', auth, validate(messageIdParams), sendAttachment('thumbnail'));
+
+// @route   GET /api/messages/search
+// @desc    Full-text search across the user's conversations. Filters: `with`
+//          (user ID), `groupId`, `senderId`, `from`/`to` dates, `messageType`
+// @access  Private
+router.get('/search', auth, validate({
+  query: {
+    q: { type: 'string', required: true, trim: true, min: 2 },
+    with: rules.optionalId,
+    groupId: rules.optionalId,
+    senderId: rules.optionalId,
+    from: { type: 'date' },
+    to: { type: 'date' },
+    messageType: { type: 'string', enum: MESSAGE_TYPES },
+    page: rules.page,
+    limit: rules.limit
+  }
+}), async (req, res) => {
+  const { q, with: withUserId, groupId, senderId, from, to, messageType, page, limit } = req.query;
+
+  const { results, pagination } = await searchService.searchMessages(req.user._id, {
+    q,
+    withUserId,
+    groupId,
+    senderId,
+    from,
+    to,
+    messageType,
+    page,
+    limit
+  });
+
+  res.json({
+    success: true,
+    results,
+    pagination
+  });
+});
+
 // @route   GET /api/messages/conversation/:userId
-// @desc    Get conversation with a specific user
+// @desc    Get conversation with a specific user, paged by `before`/`after`
+//          cursors (message ID or timestamp) or centred on an `around` message
 // @access  Private
-router.get('/conversation/:userId', auth, async (req, res) => {
-  try {
-    const currentUserId = req.user._id;
-    const otherUserId = req.params.userId;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
-
-    // Check if they are friends
-    const currentUser = await User.findById(currentUserId);
-    if (!currentUser.friends.includes(otherUserId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only view conversations with your friends'
-      });
-    }
-
-    // Get messages between the two users
-    const messages = await Message.find({
-      $or: [
-        { sender: currentUserId, recipient: otherUserId },
-        { sender: otherUserId, recipient: currentUserId }
-      ]
-    })
-    .populate('sender', 'username avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
-
-    // Reverse to show oldest first
-    messages.reverse();
-
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        sender: otherUserId,
-        recipient: currentUserId,
-        isRead: false
-      },
-      {
-        isRead: true,
-        readAt: new Date()
-      }
-    );
-
-    res.json({
-      success: true,
-      messages,
-      pagination: {
-        page,
-        limit,
-        hasMore: messages.length === limit
-      }
-    });
-  } catch (error) {
-    console.error('Get conversation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+router.get('/conversation/:userId', auth, validate({
+  params: { userId: rules.id },
+  query: {
+    before: rules.cursor,
+    after: rules.cursor,
+    around: rules.optionalId,
+    limit: rules.limit
   }
+}), async (req, res) => {
+  const currentUserId = req.user._id;
+  const otherUserId = req.params.userId;
+  const { before, after, around, limit } = req.query;
+
+  // Check if they are friends
+  const currentUser = await User.findById(currentUserId);
+  if (!currentUser.friends.includes(otherUserId)) {
+    throw new ServiceError(403, 'You can only view conversations with your friends');
+  }
+
+  // Get messages between the two users
+  const { messages, pagination } = await messageService.getHistory({
+    scopes: messageService.directScopes(currentUserId, otherUserId),
+    viewerId: currentUserId,
+    before,
+    after,
+    around,
+    limit
+  });
+
+  // Mark messages as read and send the read receipt
+  await receiptService.markConversationRead(currentUserId, otherUserId);
+
+  const otherUser = await User.findById(otherUserId).select('privacy');
+
+  res.json({
+    success: true,
+    messages: otherUser ? receiptService.hideReadState(messages, currentUserId, otherUser) : messages,
+    pagination
+  });
 });
 
 // @route   GET /api/messages/conversations
-// @desc    Get all conversations for current user
+// @desc    Get the current user's conversations: pinned first, then by
+//          latest activity, paged with `cursor`. Archived ones only with
+//          ?includeArchived=true
 // @access  Private
-router.get('/conversations', auth, async (req, res) => {
-  try {
-    const userId = req.user._id;
-
-    // Get latest message for each conversation
-    const conversations = await Message.aggregate([
-      {
-        $match: {
-          $or: [
-            { sender: userId },
-            { recipient: userId }
-          ]
-        }
-      },
-      {
-        $sort: { createdAt: -1 }
-      },
-      {
-        $group: {
-          _id: {
-            $cond: [
-              { $eq: ['$sender', userId] },
-              '$recipient',
-              '$sender'
-            ]
-          },
-          lastMessage: { $first: '$$ROOT' },
-          unreadCount: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $eq: ['$recipient', userId] },
-                    { $eq: ['$isRead', false] }
-                  ]
-                },
-                1,
-                0
-              ]
-            }
-          }
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'user'
-        }
-      },
-      {
-        $unwind: '$user'
-      },
-      {
-        $project: {
-          user: {
-            _id: '$user._id',
-            username: '$user.username',
-            avatar: '$user.avatar',
-            status: '$user.status',
-            lastSeen: '$user.lastSeen'
-          },
-          lastMessage: {
-            content: '$lastMessage.content',
-            createdAt: '$lastMessage.createdAt',
-            sender: '$lastMessage.sender'
-          },
-          unreadCount: 1
-        }
-      },
-      {
-        $sort: { 'lastMessage.createdAt': -1 }
-      }
-    ]);
-
-    res.json({
-      success: true,
-      conversations
-    });
-  } catch (error) {
-    console.error('Get conversations error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+router.get('/conversations', auth, validate({
+  query: {
+    includeArchived: { type: 'boolean' },
+    cursor: { type: 'string' },
+    limit: rules.limit
+  }
+}), async (req, res) => {
+  const { conversations, pagination } = await conversationSummaryService.listConversations(req.user._id, {
+    includeArchived: req.query.includeArchived === 'true',
+    cursor: req.query.cursor,
+    limit: req.query.limit
+  });
+
+  res.json({
+    success: true,
+    conversations,
+    pagination
+  });
+});
+
+// @route   GET /api/messages/conversations/:type/:id
+// @desc    Get your own state for a 1:1 (`user`) or `group` conversation:
+//          pinned, archived, muted, markedUnread and draft
+// @access  Private
+router.get('/conversations/:type/:id', auth, validate(conversationParams), async (req, res) => {
+  const state = await conversationService.getState(req.user._id, req.params);
+
+  res.json({
+    success: true,
+    state
+  });
+});
+
+// @route   PUT /api/messages/conversations/:type/:id
+// @desc    Pin, archive, mute (until `mutedUntil`, or indefinitely), mark as
+//          unread or save a draft; synced to the user's other devices
+// @access  Private
+router.put('/conversations/:type/:id', auth, validate({
+  ...conversationParams,
+  body: {
+    pinned: { type: 'boolean' },
+    archived: { type: 'boolean' },
+    muted: { type: 'boolean' },
+    mutedUntil: { type: 'date' },
+    markedUnread: { type: 'boolean' },
+    draft: { type: 'string', max: 1000 }
   }
+}, { strict: true }), async (req, res) => {
+  const state = await conversationService.updateState(req.user._id, req.params, req.body || {});
+
+  res.json({
+    success: true,
+    message: 'Conversation updated',
+    state
+  });
+});
+
+// @route   PUT /api/messages/conversation/:userId/read
+// @desc    Mark everything the other user sent up to `upToMessageId` as read
+//          (the whole conversation if omitted) and send read receipts
+// @access  Private
+router.put('/conversation/:userId/read', auth, validate({
+  params: { userId: rules.id },
+  body: { upToMessageId: rules.optionalId }
+}), async (req, res) => {
+  const readIds = await receiptService.markConversationRead(
+    req.user._id,
+    req.params.userId,
+    req.body?.upToMessageId
+  );
+
+  res.json({
+    success: true,
+    message: 'Messages marked as read',
+    messageIds: readIds
+  });
 });
 
 // @route   PUT /api/messages/:messageId/read
 // @desc    Mark message as read
 // @access  Private
-router.put('/:messageId/read', auth, async (req, res) => {
-  try {
-    const messageId = req.params.messageId;
-    const userId = req.user._id;
-
-    const message = await Message.findOneAndUpdate(
-      {
-        _id: messageId,
-        recipient: userId,
-        isRead: false
-      },
-      {
-        isRead: true,
-        readAt: new Date()
-      },
-      { new: true }
-    );
-
-    if (!message) {
-      return res.status(404).json({
-        success: false,
-        message: 'Message not found or already read'
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Message marked as read'
-    });
-  } catch (error) {
-    console.error('Mark message as read error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+router.put('/:messageId/read', auth, validate({
+  params: { messageId: rules.id }
+}), async (req, res) => {
+  const messageId = req.params.messageId;
+  const userId = req.user._id;
+
+  const readIds = await receiptService.markMessageRead(userId, messageId);
+
+  if (readIds.length === 0) {
+    throw new ServiceError(404, 'Message not found or already read');
   }
+
+  res.json({
+    success: true,
+    message: 'Message marked as read'
+  });
+});
+
+// @route   PUT /api/messages/:id
+// @desc    Edit a message (sender only, within the edit window)
+// @access  Private
+router.put('/:id', auth, validate({
+  ...messageIdParams,
+  body: { content: { ...contentRule, required: true } }
+}), async (req, res) => {
+  const message = await messageService.editMessage({
+    userId: req.user._id,
+    messageId: req.params.id,
+    content: req.body.content
+  });
+
+  res.json({
+    success: true,
+    message: 'Message edited successfully',
+    data: message
+  });
+});
+
+// @route   DELETE /api/messages/:id?scope=me|everyone
+// @desc    Delete a message for yourself or (sender only) for everyone
+// @access  Private
+router.delete('/:id', auth, validate({
+  ...messageIdParams,
+  query: { scope: { type: 'string', enum: ['me', 'everyone'] } }
+}), async (req, res) => {
+  const scope = req.query.scope || 'me';
+
+  await messageService.deleteMessage({
+    userId: req.user._id,
+    messageId: req.params.id,
+    scope
+  });
+
+  res.json({
+    success: true,
+    message: scope === 'everyone' ? 'Message deleted for everyone' : 'Message deleted'
+  });
+});
+
+// @route   POST /api/messages/:id/forward
+// @desc    Forward a message to a friend (`recipientId`) or a group (`groupId`)
+// @access  Private
+router.post('/:id/forward', rateLimit('messageSendIp'), auth, rateLimit('messageSendUser', { keyBy: 'user' }), validate({
+  ...messageIdParams,
+  body: {
+    recipientId: rules.optionalId,
+    groupId: rules.optionalId
+  }
+}), async (req, res) => {
+  const message = await messageService.forwardMessage({
+    userId: req.user._id,
+    messageId: req.params.id,
+    recipientId: req.body.recipientId,
+    groupId: req.body.groupId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Message forwarded successfully',
+    data: message
+  });
+});
+
+// @route   GET /api/messages/:id/reactions
+// @desc    List reactions with counts and who reacted, per emoji
+// @access  Private (conversation participants)
+router.get('/:id/reactions', auth, validate(messageIdParams), async (req, res) => {
+  const reactions = await messageService.listReactions({
+    userId: req.user._id,
+    messageId: req.params.id
+  });
+
+  res.json({
+    success: true,
+    reactions
+  });
+});
+
+// @route   POST /api/messages/:id/reactions
+// @desc    React to a message with an emoji (once per emoji)
+// @access  Private (conversation participants)
+router.post('/:id/reactions', auth, validate({
+  ...messageIdParams,
+  body: { emoji: { type: 'string', required: true, max: 32 } }
+}), async (req, res) => {
+  const reactions = await messageService.addReaction({
+    userId: req.user._id,
+    messageId: req.params.id,
+    emoji: req.body.emoji
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reaction added',
+    reactions
+  });
+});
+
+// @route   DELETE /api/messages/:id/reactions/:emoji
+// @desc    Remove your reaction (URL-encoded emoji)
+// @access  Private (conversation participants)
+router.delete('/:id/reactions/:emoji', auth, validate(messageIdParams), async (req, res) => {
+  const reactions = await messageService.removeReaction({
+    userId: req.user._id,
+    messageId: req.params.id,
+    emoji: req.params.emoji
+  });
+
+  res.json({
+    success: true,
+    message: 'Reaction removed',
+    reactions
+  });
 });
 
 // @route   GET /api/messages/unread/count
 // @desc    Get unread messages count
 // @access  Private
 router.get('/unread/count', auth, async (req, res) => {
-  try {
-    const userId = req.user._id;
-
-    const unreadCount = await Message.countDocuments({
-      recipient: userId,
-      isRead: false
-    });
+  const unreadCount = await conversationSummaryService.getUnreadTotal(req.user._id);
 
-    res.json({
-      success: true,
-      unreadCount
-    });
-  } catch (error) {
-    console.error('Get unread count error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
+  res.json({
+    success: true,
+    unreadCount
+  });
 });
 
 module.exports = router;
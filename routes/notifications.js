@@ -0,0 +1,121 @@
+const express = require('express');
+const User = require('../models/User');
+const { PREFERENCE_TYPES } = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const notificationService = require('../services/notificationService');
+const ServiceError = require('../utils/ServiceError');
+
+const router = express.Router();
+
+// { [type]: { store?, push? } } for every type that has preferences
+const preferenceSettings = Object.fromEntries(PREFERENCE_TYPES.map((type) => [type, {
+  type: 'object',
+  strict: true,
+  fields: {
+    store: { type: 'boolean' },
+    push: { type: 'boolean' }
+  }
+}]));
+
+// @route   GET /api/notifications
+// @desc    Get notifications, newest first (`before` cursor, `limit`, `unreadOnly`)
+// @access  Private
+router.get('/', auth, validate({
+  query: {
+    before: rules.optionalId,
+    limit: rules.limit,
+    unreadOnly: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  const { before, limit, unreadOnly } = req.query;
+
+  const { notifications, pagination } = await notificationService.listNotifications(req.user._id, {
+    before,
+    limit,
+    unreadOnly: unreadOnly === 'true'
+  });
+
+  res.json({
+    success: true,
+    notifications,
+    pagination
+  });
+});
+
+// @route   GET /api/notifications/unread/count
+// @desc    Get unread notifications count
+// @access  Private
+router.get('/unread/count', auth, async (req, res) => {
+  const unreadCount = await notificationService.getUnreadCount(req.user._id);
+
+  res.json({
+    success: true,
+    unreadCount
+  });
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  const updated = await notificationService.markAllRead(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    updated
+  });
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get per-type notification preferences
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  res.json({
+    success: true,
+    preferences: req.user.notificationPreferences
+  });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification preferences, e.g. { mention: { push: false } }
+// @access  Private
+router.put('/preferences', auth, validate({ body: preferenceSettings }, { strict: true }), async (req, res) => {
+  const updates = {};
+
+  for (const [type, preference] of Object.entries(req.body || {})) {
+    for (const key of ['store', 'push']) {
+      if (preference?.[key] == null) continue;
+      updates[`notificationPreferences.${type}.${key}`] = preference[key];
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    preferences: user.notificationPreferences
+  });
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, validate({
+  params: { id: rules.id }
+}), async (req, res) => {
+  const notification = await notificationService.markRead(req.user._id, req.params.id);
+
+  if (!notification) {
+    throw new ServiceError(404, 'Notification not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const pushService = require('../services/pushService');
+const { getTransport } = require('../services/push');
+const ServiceError = require('../utils/ServiceError');
+
+const router = express.Router();
+
+// @route   GET /api/push/vapid-public-key
+// @desc    Get the VAPID public key clients subscribe with
+// @access  Public
+router.get('/vapid-public-key', async (req, res) => {
+  res.json({
+    success: true,
+    publicKey: getTransport().publicKey
+  });
+});
+
+// @route   POST /api/push/subscriptions
+// @desc    Register this device's push subscription ({ subscription })
+// @access  Private
+router.post('/subscriptions', auth, validate({
+  body: {
+    subscription: {
+      type: 'object',
+      required: true,
+      fields: {
+        endpoint: { type: 'string', required: true, pattern: /^https:\/\//, patternMessage: 'subscription.endpoint must be an https URL' },
+        keys: {
+          type: 'object',
+          required: true,
+          fields: {
+            p256dh: { type: 'string', required: true },
+            auth: { type: 'string', required: true }
+          }
+        }
+      }
+    }
+  }
+}), async (req, res) => {
+  await pushService.subscribe({
+    userId: req.user._id,
+    sessionId: req.authSession._id,
+    subscription: req.body.subscription,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Push subscription saved'
+  });
+});
+
+// @route   DELETE /api/push/subscriptions
+// @desc    Remove a push subscription ({ endpoint })
+// @access  Private
+router.delete('/subscriptions', auth, validate({
+  body: {
+    endpoint: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  const { endpoint } = req.body;
+
+  const removed = await pushService.unsubscribe(req.user._id, endpoint);
+  if (!removed) {
+    throw new ServiceError(404, 'Push subscription not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Push subscription removed'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const syncService = require('../services/syncService');
+
+const router = express.Router();
+
+// @route   GET /api/sync
+// @desc    Changes since a sync cursor (`since`, `limit`): messages, edits, deletions,
+//          receipts, friend and profile changes. Call without `since` to get a starting cursor.
+//          The last few seconds of changes are held back until earlier writes have landed
+// @access  Private
+router.get('/', auth, validate({
+  query: {
+    since: { type: 'integer', min: 0 },
+    limit: rules.limit
+  }
+}), async (req, res) => {
+  const changes = await syncService.getChanges(req.user._id, {
+    since: req.query.since,
+    limit: req.query.limit
+  });
+
+  res.json({
+    success: true,
+    ...changes
+  });
+});
+
+module.exports = router;
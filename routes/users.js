@@ -1,124 +1,210 @@
 const express = require('express');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const blockService = require('../services/blockService');
+const friendEvents = require('../services/friendEvents');
+const userSearchService = require('../services/userSearchService');
+const privacyService = require('../services/privacyService');
+const ServiceError = require('../utils/ServiceError');
 
 const router = express.Router();
 
+const userIdParams = { params: { id: rules.id } };
+
+// One optional rule per privacy setting, typed after its accepted values
+const privacySettings = Object.fromEntries(
+  Object.entries(privacyService.OPTIONS).map(([key, values]) => [key, { type: typeof values[0], enum: values }])
+);
+
 // @route   GET /api/users/search
-// @desc    Search users by username
+// @desc    Search users by username, ranked exact > friends > mutual friends
 // @access  Private
-router.get('/search', auth, async (req, res) => {
-  try {
-    const { query } = req.query;
-    
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query must be at least 2 characters long'
-      });
-    }
-
-    // Search users by username (case-insensitive, partial match)
-    const users = await User.find({
-      username: { $regex: query.trim(), $options: 'i' },
-      _id: { $ne: req.user._id } // Exclude current user
-    })
-    .select('username email avatar bio status lastSeen')
-    .limit(20);
-
-    res.json({
-      success: true,
-      users
-    });
-  } catch (error) {
-    console.error('Search users error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+router.get('/search', auth, validate({
+  query: {
+    query: { type: 'string', required: true, trim: true, min: 2 }
   }
+}), async (req, res) => {
+  // Case-insensitive match on escaped input; blocked users are left out
+  const users = await userSearchService.searchUsers(req.user, req.query.query);
+
+  res.json({
+    success: true,
+    users
+  });
+});
+
+// @route   GET /api/users/suggestions
+// @desc    Suggest friends of friends, most mutual friends first
+// @access  Private
+router.get('/suggestions', auth, async (req, res) => {
+  const suggestions = await userSearchService.suggestFriends(req.user);
+
+  res.json({
+    success: true,
+    suggestions
+  });
+});
+
+// @route   GET /api/users/blocked
+// @desc    Get users the current user has blocked
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .populate('blockedUsers', `username avatar ${privacyService.PRIVACY_FIELDS}`);
+
+  res.json({
+    success: true,
+    users: user.blockedUsers.map((other) => privacyService.filterProfile(other, req.user._id))
+  });
+});
+
+// @route   GET /api/users/muted
+// @desc    Get users the current user has muted
+// @access  Private
+router.get('/muted', auth, async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .populate('mutedUsers', `username avatar ${privacyService.PRIVACY_FIELDS}`);
+
+  res.json({
+    success: true,
+    users: user.mutedUsers.map((other) => privacyService.filterProfile(other, req.user._id))
+  });
+});
+
+// @route   GET /api/users/privacy
+// @desc    Get the current user's privacy settings
+// @access  Private
+router.get('/privacy', auth, async (req, res) => {
+  res.json({
+    success: true,
+    privacy: { ...privacyService.DEFAULTS, ...req.user.privacy?.toObject() }
+  });
+});
+
+// @route   PUT /api/users/privacy
+// @desc    Update privacy settings, e.g. { lastSeen: 'friends', friendRequests: 'nobody' }
+// @access  Private
+router.put('/privacy', auth, validate({ body: privacySettings }, { strict: true }), async (req, res) => {
+  const updates = {};
+  Object.keys(privacySettings).forEach((key) => {
+    if (req.body[key] != null) updates[`privacy.${key}`] = req.body[key];
+  });
+
+  const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+
+  // What friends may see has changed, and so has the user's own settings
+  friendEvents.profileUpdated(user._id).catch((error) => {
+    console.error('Profile update event error:', error);
+  });
+
+  res.json({
+    success: true,
+    message: 'Privacy settings updated',
+    privacy: { ...privacyService.DEFAULTS, ...user.privacy?.toObject() }
+  });
 });
 
 // @route   GET /api/users/:id
 // @desc    Get user profile by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id)
-      .select('username email avatar bio status lastSeen');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      user
-    });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+router.get('/:id', auth, validate(userIdParams), async (req, res) => {
+  // Blocked users can't look each other up
+  if (await User.isBlockedBetween(req.user._id, req.params.id)) {
+    throw new ServiceError(404, 'User not found');
   }
+
+  const user = await User.findById(req.params.id)
+    .select(`username email avatar bio status lastSeen ${privacyService.PRIVACY_FIELDS}`);
+
+  if (!user) {
+    throw new ServiceError(404, 'User not found');
+  }
+
+  res.json({
+    success: true,
+    user: privacyService.filterProfile(user, req.user._id)
+  });
 });
 
 // @route   GET /api/users/friends/list
 // @desc    Get user's friends list
 // @access  Private
 router.get('/friends/list', auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id)
-      .populate('friends', 'username email avatar bio status lastSeen');
-
-    res.json({
-      success: true,
-      friends: user.friends
-    });
-  } catch (error) {
-    console.error('Get friends error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
+  const user = await User.findById(req.user._id)
+    .populate('friends', `username email avatar bio status lastSeen ${privacyService.PRIVACY_FIELDS}`);
+
+  res.json({
+    success: true,
+    friends: user.friends.map((friend) => privacyService.filterProfile(friend, req.user._id))
+  });
 });
 
 // @route   PUT /api/users/status
 // @desc    Update user online status
 // @access  Private
-router.put('/status', auth, async (req, res) => {
-  try {
-    const { status } = req.body;
-    
-    if (!['online', 'offline', 'away'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be online, offline, or away'
-      });
-    }
-
-    req.user.status = status;
-    req.user.lastSeen = new Date();
-    await req.user.save();
-
-    res.json({
-      success: true,
-      message: 'Status updated successfully',
-      status: req.user.status
-    });
-  } catch (error) {
-    console.error('Update status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+router.put('/status', auth, validate({
+  body: {
+    status: { type: 'string', required: true, enum: ['online', 'offline', 'away'] }
   }
+}), async (req, res) => {
+  req.user.status = req.body.status;
+  req.user.lastSeen = new Date();
+  await req.user.save();
+
+  res.json({
+    success: true,
+    message: 'Status updated successfully',
+    status: req.user.status
+  });
 });
 
-module.exports = router;
+// @route   POST /api/users/:id/block
+// @desc    Block a user: removes the friendship and stops requests, messages and presence
+// @access  Private
+router.post('/:id/block', auth, validate(userIdParams), async (req, res) => {
+  await blockService.blockUser(req.user._id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'User blocked successfully'
+  });
+});
+
+// @route   DELETE /api/users/:id/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:id/block', auth, validate(userIdParams), async (req, res) => {
+  await blockService.unblockUser(req.user._id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'User unblocked successfully'
+  });
+});
+
+// @route   POST /api/users/:id/mute
+// @desc    Mute a user: their messages and requests still arrive, without notifications
+// @access  Private
+router.post('/:id/mute', auth, validate(userIdParams), async (req, res) => {
+  await blockService.muteUser(req.user._id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'User muted successfully'
+  });
+});
+
+// @route   DELETE /api/users/:id/mute
+// @desc    Unmute a user
+// @access  Private
+router.delete('/:id/mute', auth, validate(userIdParams), async (req, res) => {
+  await blockService.unmuteUser(req.user._id, req.params.id);
 
+  res.json({
+    success: true,
+    message: 'User unmuted successfully'
+  });
+});
+
+module.exports = router;
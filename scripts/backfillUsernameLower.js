@@ -0,0 +1,23 @@
+// Fill in User.usernameLower for accounts created before it existed.
+// Usage: npm run backfill:usernames
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/riibah');
+
+  const result = await User.updateMany(
+    { usernameLower: { $exists: false } },
+    [{ $set: { usernameLower: { $toLower: '$username' } } }]
+  );
+
+  console.log(`✅ Backfilled usernameLower for ${result.modifiedCount} users`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,27 @@
+// Build the per-user conversation summaries (last message, unread count,
+// last activity) from the messages collection: backfills existing data and
+// repairs summaries that drifted.
+// Usage: npm run rebuild:conversations [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rebuildSummaries } = require('../services/conversationSummaryService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/riibah');
+
+  const report = await rebuildSummaries({ dryRun });
+
+  console.log(`${dryRun ? '🔎 Dry run:' : '✅ Rebuilt:'}`);
+  console.log(`   ${report.checked} conversation summaries checked`);
+  console.log(`   ${report.updated} summaries ${dryRun ? 'out of date' : 'written'}`);
+  console.log(`   ${report.cleared} summaries with no messages left ${dryRun ? 'to clear' : 'cleared'}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Rebuild failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,27 @@
+// Find and fix one-sided friendships and mutual pending friend requests
+// left behind by interrupted writes, and give old requests a pairKey.
+// Usage: npm run repair:friendships [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { repairFriendships } = require('../services/friendshipService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/riibah');
+
+  const report = await repairFriendships({ dryRun });
+
+  console.log(`${dryRun ? '🔎 Dry run:' : '✅ Repaired:'}`);
+  console.log(`   ${report.completed} one-sided friendships completed`);
+  console.log(`   ${report.dropped} one-sided friendships dropped (blocked or deleted user)`);
+  console.log(`   ${report.mutualAccepted} mutual pending requests accepted`);
+  console.log(`   ${report.pairKeysFilled} friend requests given a pairKey`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Repair failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,101 +1,112 @@
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const realtime = require('./services/realtime');
+const presence = require('./services/presence');
+const { getClusterAdapter } = require('./services/cluster');
+const registerSocketHandlers = require('./socket');
 //require('dotenv').config();
 
-const app = express();
-const server = http.createServer(app);
+// Build one server node: Express app, HTTP server and Socket.IO joined to the
+// cluster. Nodes sharing a pub/sub adapter deliver events to each other's
+// sockets, so several can run in one process, e.g. to test cluster behaviour
+const createServer = ({ clusterAdapter = getClusterAdapter(), nodeId = crypto.randomUUID() } = {}) => {
+  const app = express();
+  const server = http.createServer(app);
+  const node = { id: nodeId };
 
-// Configure Socket.IO with CORS
-const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
-  }
-});
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// MongoDB Connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/riibah', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('✅ Connected to MongoDB'))
-.catch(err => console.error('❌ MongoDB connection error:', err));
-
-// Routes
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/users', require('./routes/users'));
-app.use('/api/friends', require('./routes/friends'));
-app.use('/api/messages', require('./routes/messages'));
-
-// Socket.IO connection handling
-const connectedUsers = new Map();
-
-io.on('connection', (socket) => {
-  console.log('🔌 User connected:', socket.id);
-
-  // User joins with their ID
-  socket.on('join', (userId) => {
-    connectedUsers.set(userId, socket.id);
-    socket.userId = userId;
-    
-    // Notify friends that user is online
-    socket.broadcast.emit('user_online', userId);
-    console.log(`👤 User ${userId} is now online`);
-  });
+  // Built inside the node's context so work the cluster triggers later (such
+  // as presence catching up with other nodes) emits through this node
+  const cluster = realtime.runInNode(node, () => clusterAdapter.createNode(nodeId));
 
-  // Handle sending messages
-  socket.on('send_message', (data) => {
-    const { recipientId, message, senderId } = data;
-    const recipientSocketId = connectedUsers.get(recipientId);
-    
-    if (recipientSocketId) {
-      io.to(recipientSocketId).emit('receive_message', {
-        senderId,
-        message,
-        timestamp: new Date()
-      });
-    }
+  // Configure Socket.IO with CORS
+  const io = socketIo(server, {
+    cors: {
+      origin: "*",
+      methods: ["GET", "POST"]
+    },
+    ...(cluster.socketAdapter && { adapter: cluster.socketAdapter })
   });
 
-  // Handle typing indicators
-  socket.on('typing', (data) => {
-    const { recipientId, isTyping } = data;
-    const recipientSocketId = connectedUsers.get(recipientId);
-    
-    if (recipientSocketId) {
-      io.to(recipientSocketId).emit('user_typing', {
-        userId: socket.userId,
-        isTyping
-      });
-    }
+  node.io = io;
+  node.presence = presence.createPresence(cluster.presence);
+  realtime.registerNode(node);
+
+  // Behind a load balancer req.ip must come from X-Forwarded-For for per-IP limits
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+  }
+
+  // Everything a request triggers emits through this node
+  app.use((req, res, next) => realtime.runInNode(node, next));
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+
+  // Routes
+  app.use('/api/auth', require('./routes/auth'));
+  app.use('/api/users', require('./routes/users'));
+  app.use('/api/friends', require('./routes/friends'));
+  app.use('/api/messages', require('./routes/messages'));
+  app.use('/api/groups', require('./routes/groups'));
+  app.use('/api/notifications', require('./routes/notifications'));
+  app.use('/api/push', require('./routes/push'));
+  app.use('/api/sync', require('./routes/sync'));
+
+  // Socket.IO connection handling
+  registerSocketHandlers(io, node);
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'RiiZaa server is running! 🚀', node: nodeId });
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    if (socket.userId) {
-      connectedUsers.delete(socket.userId);
-      // Notify friends that user is offline
-      socket.broadcast.emit('user_offline', socket.userId);
-      console.log(`👤 User ${socket.userId} is now offline`);
-    }
-    console.log('🔌 User disconnected:', socket.id);
+  // Errors from every route end up here as { success, code, message, details }
+  app.use('/api', notFound);
+  app.use(errorHandler);
+
+  const listen = (port, host) => new Promise((resolve) => {
+    server.listen(port, host, () => resolve(server.address()));
   });
-});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'RiiZaa server is running! 🚀' });
-});
+  // Disconnects this node's sockets (their users go offline unless connected
+  // elsewhere) and leaves the cluster
+  const close = async () => {
+    await new Promise((resolve) => io.close(() => resolve()));
+    await cluster.close();
+    realtime.unregisterNode(node);
+  };
 
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 RiiZaa server running on port ${PORT}`);
-});
+  return {
+    app,
+    server,
+    io,
+    node,
+    listen,
+    close
+  };
+};
+
+if (require.main === module) {
+  // MongoDB Connection
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/riibah', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => console.log('✅ Connected to MongoDB'))
+  .catch(err => console.error('❌ MongoDB connection error:', err));
+
+  const PORT = process.env.PORT || 5000;
+  createServer().listen(PORT, '0.0.0.0').then(() => {
+    console.log(`🚀 RiiZaa server running on port ${PORT}`);
+  });
+}
 
+module.exports = {
+  createServer
+};
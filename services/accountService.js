@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const { sendMail } = require('./mailer');
+const sessionService = require('./sessionService');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000
+};
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Usernames go into HTML mail bodies, so they can't be allowed to add markup
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+// Issue a fresh token of the given type, invalidating any unused ones before it
+const issueToken = async (userId, type) => {
+  await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+  });
+
+  return token;
+};
+
+// Atomically mark a token used; returns null if it is unknown, expired or spent
+const consumeToken = (token, type) => {
+  if (!token) return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const validatePassword = (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ServiceError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  if (user.emailVerified) {
+    throw new ServiceError(400, 'Email is already verified');
+  }
+
+  const token = await issueToken(user._id, 'email_verification');
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your RiiBah email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const verifyEmail = async (token) => {
+  const authToken = await consumeToken(token, 'email_verification');
+  if (!authToken) {
+    throw new ServiceError(400, 'Verification link is invalid or has expired');
+  }
+
+  await User.findByIdAndUpdate(authToken.user, {
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+};
+
+// Always succeeds from the caller's point of view so the endpoint can't be
+// used to find out which emails are registered
+const requestPasswordReset = async (email) => {
+  if (!email) {
+    throw new ServiceError(400, 'Email is required');
+  }
+
+  const user = await User.findOne({ email: email.toString().trim().toLowerCase() });
+  if (!user) return;
+
+  const token = await issueToken(user._id, 'password_reset');
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your RiiBah password',
+    text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Reset your password by opening <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+// Set a new password from a reset link and sign the user out everywhere
+const resetPassword = async (token, password) => {
+  validatePassword(password);
+
+  const authToken = await consumeToken(token, 'password_reset');
+  if (!authToken) {
+    throw new ServiceError(400, 'Reset link is invalid or has expired');
+  }
+
+  const user = await User.findById(authToken.user);
+  if (!user) {
+    throw new ServiceError(400, 'Reset link is invalid or has expired');
+  }
+
+  user.password = password;
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, { reason: 'password_changed' });
+};
+
+// Change the password of a signed-in user, keeping only the current session
+const changePassword = async (userId, currentPassword, newPassword, currentSessionId) => {
+  if (!currentPassword) {
+    throw new ServiceError(400, 'Current password is required');
+  }
+  validatePassword(newPassword);
+
+  const user = await User.findById(userId);
+  if (!user || !(await user.comparePassword(currentPassword))) {
+    throw new ServiceError(400, 'Current password is incorrect');
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, {
+    exceptSessionId: currentSessionId,
+    reason: 'password_changed'
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+};
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const AuthToken = require('../models/AuthToken');
+const User = require('../models/User');
+const mailer = require('./mailer');
+const accountService = require('./accountService');
+const { mockQuery } = require('../test/helpers');
+
+describe('accountService emails', () => {
+  let sent;
+  let user;
+
+  beforeEach(() => {
+    sent = [];
+    mailer.setTransport({ send: async (mail) => sent.push(mail) });
+    jest.spyOn(AuthToken, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(AuthToken, 'create').mockResolvedValue({});
+    user = new User({
+      _id: new mongoose.Types.ObjectId(),
+      username: '<b>eve</b>&"co"',
+      email: 'eve@example.com',
+      password: 'secret1'
+    });
+  });
+
+  afterAll(() => mailer.setTransport(null));
+
+  const escaped = '&lt;b&gt;eve&lt;/b&gt;&amp;&quot;co&quot;';
+
+  it('escapes the username in the verification mail', async () => {
+    await accountService.sendVerificationEmail(user);
+
+    expect(sent[0].html).toContain(`Hi ${escaped},`);
+    expect(sent[0].html).not.toContain('<b>eve</b>');
+    expect(sent[0].text).toContain(`Hi ${user.username},`);
+  });
+
+  it('escapes the username in the password reset mail', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+
+    await accountService.requestPasswordReset(user.email);
+
+    expect(sent[0].html).toContain(`Hi ${escaped},`);
+  });
+});
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const path = require('path');
+const { buffer: readAll } = require('stream/consumers');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const ServiceError = require('../utils/ServiceError');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const FILE_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain',
+  'audio/mpeg',
+  'video/mp4'
+];
+
+const THUMBNAIL_SIZE = 320;
+
+const isAllowedType = (mimeType) => IMAGE_TYPES.includes(mimeType) || FILE_TYPES.includes(mimeType);
+
+// Random key that keeps a sane extension from the original name
+const generateKey = (originalName) => {
+  const ext = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const day = new Date().toISOString().slice(0, 10);
+  return `${day}/${crypto.randomUUID()}${ext.slice(0, 10)}`;
+};
+
+// Read dimensions and render a thumbnail; also proves the upload really is an image
+const processImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+
+    // EXIF orientations 5-8 are rotated 90 degrees, so width and height swap
+    const rotated = metadata.orientation >= 5;
+
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    return {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height,
+      thumbnail
+    };
+  } catch (error) {
+    throw new ServiceError(400, 'Uploaded file is not a valid image');
+  }
+};
+
+// Validate and store an uploaded file (as parsed by multer), returning the
+// attachment metadata to put on the Message. `url`s are filled in by the
+// caller once the message id is known
+const storeUpload = async (file) => {
+  if (!file) {
+    throw new ServiceError(400, 'A file is required');
+  }
+
+  if (!isAllowedType(file.mimetype)) {
+    throw new ServiceError(415, 'This file type is not allowed');
+  }
+
+  if (file.size > MAX_UPLOAD_BYTES) {
+    throw new ServiceError(413, 'File is too large');
+  }
+
+  const storage = getStorage();
+  const isImage = IMAGE_TYPES.includes(file.mimetype);
+  const attachment = {
+    key: generateKey(file.originalname),
+    name: path.basename(file.originalname || 'file').slice(0, 255),
+    size: file.size,
+    mimeType: file.mimetype
+  };
+
+  if (isImage) {
+    const { width, height, thumbnail } = await processImage(file.buffer);
+    attachment.width = width;
+    attachment.height = height;
+    attachment.thumbnailKey = attachment.key.replace(/(\.[^./]*)?$/, '_thumb.jpg');
+    await storage.save(attachment.thumbnailKey, thumbnail, 'image/jpeg');
+  }
+
+  await storage.save(attachment.key, file.buffer, file.mimetype);
+
+  return {
+    attachment,
+    messageType: isImage ? 'image' : 'file'
+  };
+};
+
+// Remove an attachment's stored files; failures are logged, not thrown
+const removeStored = async (attachment) => {
+  if (!attachment || !attachment.key) return;
+
+  const storage = getStorage();
+  const keys = [attachment.key, attachment.thumbnailKey].filter(Boolean);
+
+  await Promise.all(keys.map((key) => storage.remove(key).catch((error) => {
+    console.error('Remove attachment error:', error);
+  })));
+};
+
+// Store a second copy of an attachment (e.g. for a forwarded message) so
+// deleting either message leaves the other's file in place
+const copyStored = async (attachment) => {
+  const storage = getStorage();
+  if (!(await storage.exists(attachment.key))) {
+    throw new ServiceError(404, 'Attachment not found');
+  }
+
+  const copy = {
+    key: generateKey(attachment.key),
+    name: attachment.name,
+    size: attachment.size,
+    mimeType: attachment.mimeType,
+    width: attachment.width,
+    height: attachment.height
+  };
+
+  try {
+    await storage.save(copy.key, await readAll(storage.createReadStream(attachment.key)), copy.mimeType);
+
+    if (attachment.thumbnailKey) {
+      copy.thumbnailKey = copy.key.replace(/(\.[^./]*)?$/, '_thumb.jpg');
+      await storage.save(copy.thumbnailKey, await readAll(storage.createReadStream(attachment.thumbnailKey)), 'image/jpeg');
+    }
+  } catch (error) {
+    await removeStored(copy);
+    throw error;
+  }
+
+  return copy;
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  storeUpload,
+  removeStored,
+  copyStored
+};
@@ -0,0 +1,91 @@
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const ServiceError = require('../utils/ServiceError');
+const friendEvents = require('./friendEvents');
+const { withTransaction } = require('./transaction');
+
+const ensureOtherUser = async (userId, targetId) => {
+  if (userId.toString() === targetId.toString()) {
+    throw new ServiceError(400, 'You cannot do this to yourself');
+  }
+
+  const target = await User.exists({ _id: targetId });
+  if (!target) {
+    throw new ServiceError(404, 'User not found');
+  }
+};
+
+// Block a user: ends the friendship both ways and clears any friend requests
+// between the two so nothing is left pending
+const blockUser = async (userId, targetId) => {
+  await ensureOtherUser(userId, targetId);
+
+  const user = await withTransaction(async (session) => {
+    const before = await User.findByIdAndUpdate(userId, {
+      $addToSet: { blockedUsers: targetId },
+      $pull: { friends: targetId }
+    }, { session });
+
+    await User.findByIdAndUpdate(targetId, {
+      $pull: { friends: userId }
+    }, { session });
+
+    await FriendRequest.deleteMany({
+      $or: [
+        { sender: userId, recipient: targetId },
+        { sender: targetId, recipient: userId }
+      ]
+    }, { session });
+
+    return before;
+  });
+
+  // `user` is the pre-update document, so this tells us whether they were friends
+  if (user.friends.includes(targetId)) {
+    friendEvents.friendRemoved(userId, targetId);
+  }
+};
+
+const unblockUser = async (userId, targetId) => {
+  const result = await User.updateOne(
+    { _id: userId, blockedUsers: targetId },
+    { $pull: { blockedUsers: targetId } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new ServiceError(404, 'User is not blocked');
+  }
+};
+
+const muteUser = async (userId, targetId) => {
+  await ensureOtherUser(userId, targetId);
+
+  await User.findByIdAndUpdate(userId, {
+    $addToSet: { mutedUsers: targetId }
+  });
+};
+
+const unmuteUser = async (userId, targetId) => {
+  const result = await User.updateOne(
+    { _id: userId, mutedUsers: targetId },
+    { $pull: { mutedUsers: targetId } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new ServiceError(404, 'User is not muted');
+  }
+};
+
+// True if `userId` has muted `otherUserId`
+const hasMuted = async (userId, otherUserId) => {
+  const muted = await User.exists({ _id: userId, mutedUsers: otherUserId });
+  return Boolean(muted);
+};
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  hasMuted
+};
@@ -0,0 +1,65 @@
+const createMemoryAdapter = require('./memoryAdapter');
+const createPubSubAdapter = require('./pubSubAdapter');
+const createLocalBroker = require('./localBroker');
+
+// Brokers carry messages between server nodes:
+//   publish(channel, message) -> Promise<void>, message must survive JSON
+//   subscribe(channel, handler) -> unsubscribe()
+// Register networked ones here and pick one with CLUSTER_BROKER.
+const brokers = {
+  local: createLocalBroker
+};
+
+// Cluster adapters decide how far socket events and presence reach. Each
+// server node gets its own piece from createNode(nodeId):
+//   socketAdapter -> Socket.IO adapter, undefined keeps the built-in one
+//   presence      -> publish(userId, { sockets, idle }, status) announces
+//                    this node's state and any status it just wrote,
+//                    remote(userId) lists the other nodes' states,
+//                    onRemoteChange((userId, status) => ...) hears about
+//                    theirs and isLeader() says who settles conflicts
+//   close()       -> Promise<void>
+// Pick one with CLUSTER_ADAPTER; `memory` is a single node.
+const adapters = {
+  memory: createMemoryAdapter,
+  pubsub: () => createPubSubAdapter({ broker: getBroker() })
+};
+
+let broker = null;
+let adapter = null;
+
+const getBroker = () => {
+  if (!broker) {
+    const name = process.env.CLUSTER_BROKER || 'local';
+    if (!brokers[name]) {
+      throw new Error(`Unknown cluster broker: ${name}`);
+    }
+    broker = brokers[name]();
+  }
+  return broker;
+};
+
+const getClusterAdapter = () => {
+  if (!adapter) {
+    const name = process.env.CLUSTER_ADAPTER || 'memory';
+    if (!adapters[name]) {
+      throw new Error(`Unknown cluster adapter: ${name}`);
+    }
+    adapter = adapters[name]();
+  }
+  return adapter;
+};
+
+// Swap the adapter, e.g. a pub/sub one over a fresh local broker in tests
+const setClusterAdapter = (clusterAdapter) => {
+  adapter = clusterAdapter;
+};
+
+module.exports = {
+  getBroker,
+  getClusterAdapter,
+  setClusterAdapter,
+  createMemoryAdapter,
+  createPubSubAdapter,
+  createLocalBroker
+};
@@ -0,0 +1,46 @@
+const { AsyncResource } = require('async_hooks');
+
+// In-process stand-in for a pub/sub broker such as Redis. Every node created
+// in this process shares it, so several servers can be run side by side.
+// Messages go through JSON and arrive asynchronously, as they would over the
+// network, and each subscriber gets its own copy
+const createLocalBroker = () => {
+  // channel -> Set of handlers
+  const channels = new Map();
+
+  const publish = async (channel, message) => {
+    const handlers = channels.get(channel);
+    if (!handlers || handlers.size === 0) return;
+
+    const payload = JSON.stringify(message);
+    setImmediate(() => {
+      handlers.forEach((handler) => {
+        try {
+          handler(JSON.parse(payload));
+        } catch (error) {
+          console.error(`Broker handler error on ${channel}:`, error);
+        }
+      });
+    });
+  };
+
+  // Handlers run in the async context they subscribed from, not the publisher's
+  const subscribe = (channel, handler) => {
+    const bound = AsyncResource.bind(handler);
+    const handlers = channels.get(channel) || new Set();
+    handlers.add(bound);
+    channels.set(channel, handlers);
+
+    return () => {
+      handlers.delete(bound);
+      if (handlers.size === 0) channels.delete(channel);
+    };
+  };
+
+  return {
+    publish,
+    subscribe
+  };
+};
+
+module.exports = createLocalBroker;
@@ -0,0 +1,16 @@
+// Single-node setup: Socket.IO keeps its default in-memory adapter and there
+// are no other nodes whose presence needs to be known
+const createMemoryAdapter = () => ({
+  createNode: () => ({
+    socketAdapter: undefined,
+    presence: {
+      publish: () => {},
+      remote: () => [],
+      isLeader: () => true,
+      onRemoteChange: () => {}
+    },
+    close: async () => {}
+  })
+});
+
+module.exports = createMemoryAdapter;
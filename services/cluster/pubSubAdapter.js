@@ -0,0 +1,169 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.CLUSTER_HEARTBEAT_MS) || 5 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+const PRESENCE_CHANNEL = 'presence';
+
+// Socket.IO adapter that relays broadcasts, room changes and fetchSockets()
+// between nodes over the broker. Each namespace talks on its own channel and
+// gets responses on a per-node one
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, broker) {
+    super(nsp, {
+      heartbeatInterval: HEARTBEAT_INTERVAL_MS,
+      heartbeatTimeout: HEARTBEAT_TIMEOUT_MS
+    });
+    this.broker = broker;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribers = [
+      broker.subscribe(this.channel, (message) => this.onMessage(message)),
+      broker.subscribe(`${this.channel}#${this.uid}`, (response) => this.onResponse(response))
+    ];
+
+    // Socket.IO 4.8 never calls init() itself. Without the announcement peers
+    // only count this node after its first heartbeat, and until then acks
+    // from its sockets are never waited for
+    this.init();
+  }
+
+  async doPublish(message) {
+    await this.broker.publish(this.channel, message);
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.broker.publish(`${this.channel}#${requesterUid}`, response);
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
+
+// Every node announces its own { sockets, idle } per user, plus any status it
+// wrote, and keeps a copy of everyone else's. A new node says hello and gets
+// snapshots back; nodes that stop sending heartbeats are forgotten, taking
+// their users with them
+const createPresenceReplica = (broker, nodeId) => {
+  // userId -> this node's state
+  const local = new Map();
+  // nodeId -> Map of userId -> state
+  const remoteNodes = new Map();
+  // nodeId -> last time we heard from it
+  const lastSeen = new Map();
+  const listeners = [];
+
+  const notify = (userId, status) => {
+    listeners.forEach((listener) => listener(userId, status));
+  };
+
+  const send = (type, data = {}) => {
+    broker.publish(PRESENCE_CHANNEL, { type, nodeId, ...data }).catch((error) => {
+      console.error('Presence publish error:', error);
+    });
+  };
+
+  const forgetNode = (id) => {
+    const states = remoteNodes.get(id);
+    remoteNodes.delete(id);
+    lastSeen.delete(id);
+    states?.forEach((state, userId) => notify(userId));
+  };
+
+  const onMessage = ({ type, nodeId: from, userId, state, status, users }) => {
+    if (from === nodeId) return;
+
+    if (type === 'bye') {
+      forgetNode(from);
+      return;
+    }
+
+    lastSeen.set(from, Date.now());
+    if (!remoteNodes.has(from)) remoteNodes.set(from, new Map());
+    const states = remoteNodes.get(from);
+
+    switch (type) {
+      case 'hello':
+        send('snapshot', { users: Object.fromEntries(local) });
+        break;
+      case 'snapshot':
+        remoteNodes.set(from, new Map(Object.entries(users)));
+        break;
+      case 'update':
+        if (state.sockets > 0) states.set(userId, state);
+        else states.delete(userId);
+        notify(userId, status);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const unsubscribe = broker.subscribe(PRESENCE_CHANNEL, onMessage);
+
+  const heartbeat = setInterval(() => {
+    send('heartbeat');
+
+    const now = Date.now();
+    lastSeen.forEach((seenAt, id) => {
+      if (now - seenAt > HEARTBEAT_TIMEOUT_MS) forgetNode(id);
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  send('hello');
+
+  const publish = (userId, state, status) => {
+    if (state.sockets > 0) local.set(userId, state);
+    else local.delete(userId);
+    send('update', { userId, state, status });
+  };
+
+  const remote = (userId) => {
+    const found = [];
+    remoteNodes.forEach((states, id) => {
+      if (states.has(userId)) found.push({ nodeId: id, ...states.get(userId) });
+    });
+    return found;
+  };
+
+  // The live node with the lowest id settles changes no single node saw
+  const isLeader = () => [...remoteNodes.keys()].every((id) => nodeId < id);
+
+  const onRemoteChange = (listener) => {
+    listeners.push(listener);
+  };
+
+  const close = () => {
+    clearInterval(heartbeat);
+    send('bye');
+    unsubscribe();
+  };
+
+  return {
+    publish,
+    remote,
+    isLeader,
+    onRemoteChange,
+    close
+  };
+};
+
+// Nodes created from the same adapter share its broker
+const createPubSubAdapter = ({ broker }) => ({
+  createNode: (nodeId) => {
+    const presence = createPresenceReplica(broker, nodeId);
+
+    return {
+      // Socket.IO calls this with `new` once per namespace
+      socketAdapter: function (nsp) {
+        return new BrokerAdapter(nsp, broker);
+      },
+      presence,
+      close: async () => presence.close()
+    };
+  }
+});
+
+module.exports = createPubSubAdapter;
@@ -0,0 +1,97 @@
+// socket.io-adapter holds on to each ack request for the whole timeout
+process.env.SOCKET_ACK_TIMEOUT_MS = '500';
+
+const mongoose = require('mongoose');
+const { io: connect } = require('socket.io-client');
+const User = require('../../models/User');
+const Group = require('../../models/Group');
+const { mockQuery, wait } = require('../../test/helpers');
+
+// The token is the user id; socketAuth takes verifyAccessToken at require time
+jest.mock('../sessionService', () => {
+  const { Types } = require('mongoose');
+  return {
+    verifyAccessToken: async (token) => ({
+      user: { _id: new Types.ObjectId(token) },
+      session: { _id: new Types.ObjectId() },
+      decoded: {}
+    })
+  };
+});
+
+const { createServer } = require('../../server');
+const cluster = require('.');
+const realtime = require('../realtime');
+
+// Two nodes in one process sharing a local broker, as separate servers would
+describe('pub/sub cluster adapter', () => {
+  let nodes;
+  let clients;
+
+  const connectTo = (node, userId) => new Promise((resolve, reject) => {
+    const socket = connect(`http://127.0.0.1:${node.port}`, {
+      auth: { token: String(userId) },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    clients.push(socket);
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+
+  const start = async (nodeId, clusterAdapter) => {
+    const node = createServer({ clusterAdapter, nodeId });
+    node.port = (await node.listen(0, '127.0.0.1')).port;
+    nodes.push(node);
+    return node;
+  };
+
+  beforeEach(() => {
+    nodes = [];
+    clients = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => mockQuery({
+      _id: id,
+      friends: [],
+      status: update.status
+    }));
+    jest.spyOn(Group, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(async () => {
+    clients.forEach((socket) => socket.disconnect());
+    await Promise.all(nodes.map((node) => node.close()));
+  });
+
+  it('collects acks from sockets on a node that has only just started', async () => {
+    const adapter = cluster.createPubSubAdapter({ broker: cluster.createLocalBroker() });
+    const a = await start('A', adapter);
+    const userId = new mongoose.Types.ObjectId();
+
+    const socket = await connectTo(a, userId);
+    socket.on('receive_message', (payload, respond) => respond(`got ${payload}`));
+
+    // B has published nothing yet apart from its own start-up
+    const b = await start('B', adapter);
+    await wait(20);
+
+    const acks = await realtime.runInNode(b.node, () => realtime.emitToUserWithAck(userId, 'receive_message', 'hi'));
+
+    expect(acks).toEqual(['got hi']);
+  });
+
+  it('reaches the user on the other node through plain emits', async () => {
+    const adapter = cluster.createPubSubAdapter({ broker: cluster.createLocalBroker() });
+    const a = await start('A', adapter);
+    const b = await start('B', adapter);
+    const userId = new mongoose.Types.ObjectId();
+
+    const socket = await connectTo(b, userId);
+    const received = new Promise((resolve) => socket.on('notification', resolve));
+    await wait(20);
+
+    realtime.runInNode(a.node, () => realtime.emitToUser(userId, 'notification', { n: 1 }));
+
+    await expect(received).resolves.toEqual({ n: 1 });
+  });
+});
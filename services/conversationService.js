@@ -0,0 +1,227 @@
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Message = require('../models/Message');
+const UserConversation = require('../models/UserConversation');
+const { MUTE_FOREVER } = require('../models/UserConversation');
+const ServiceError = require('../utils/ServiceError');
+const realtime = require('./realtime');
+const syncService = require('./syncService');
+
+// How many conversations a user can keep pinned at the top
+const MAX_PINNED = parseInt(process.env.MAX_PINNED_CONVERSATIONS) || 5;
+
+// Conversations are addressed as { type: 'user', id } or { type: 'group', id }
+const conversationFilter = (userId, { type, id }) => (
+  type === 'group'
+    ? { user: userId, group: id, peer: null }
+    : { user: userId, peer: id, group: null }
+);
+
+const conversationRef = (doc) => (
+  doc.group
+    ? { type: 'group', id: doc.group }
+    : { type: 'user', id: doc.peer }
+);
+
+// What clients get, defaults included, for a conversation with or without a doc
+const describeState = (doc, now = new Date()) => {
+  const muted = Boolean(doc?.mutedUntil) && doc.mutedUntil > now;
+
+  return {
+    pinned: Boolean(doc?.pinnedAt),
+    pinnedAt: doc?.pinnedAt || null,
+    archived: Boolean(doc?.archivedAt),
+    archivedAt: doc?.archivedAt || null,
+    muted,
+    mutedUntil: muted ? doc.mutedUntil : null,
+    markedUnread: Boolean(doc?.markedUnread),
+    draft: doc?.draft?.content
+      ? { content: doc.draft.content, updatedAt: doc.draft.updatedAt }
+      : null
+  };
+};
+
+// A 1:1 chat needs another user who is a friend or has messages with the
+// user; a group chat needs membership
+const ensureConversation = async (userId, { type, id }) => {
+  if (type === 'group') {
+    const isMember = await Group.exists({ _id: id, 'members.user': userId });
+    if (!isMember) {
+      throw new ServiceError(404, 'Group not found');
+    }
+    return;
+  }
+
+  if (userId.toString() === id.toString()) {
+    throw new ServiceError(400, 'You cannot have a conversation with yourself');
+  }
+
+  const [isFriend, hasHistory] = await Promise.all([
+    User.exists({ _id: userId, friends: id }),
+    Message.exists({
+      $or: [
+        { sender: userId, recipient: id },
+        { sender: id, recipient: userId }
+      ]
+    })
+  ]);
+  if (!isFriend && !hasHistory) {
+    throw new ServiceError(404, 'Conversation not found');
+  }
+};
+
+// Every device of the user (and later syncs) learn about the change
+const announce = (userId, doc) => {
+  const payload = {
+    conversation: conversationRef(doc),
+    state: describeState(doc)
+  };
+
+  realtime.emitToUser(userId, 'conversation_updated', payload);
+  syncService.recordForUsers([userId], 'conversation_updated', payload);
+};
+
+const getState = async (userId, conversation) => {
+  await ensureConversation(userId, conversation);
+
+  const doc = await UserConversation.findOne(conversationFilter(userId, conversation));
+  return describeState(doc);
+};
+
+// States for many conversations at once, keyed by the peer or group id
+const getStates = async (userId, { peerIds = [], groupIds = [] }) => {
+  const docs = await UserConversation.find({
+    user: userId,
+    $or: [
+      { peer: { $in: peerIds }, group: null },
+      { group: { $in: groupIds }, peer: null }
+    ]
+  });
+
+  const now = new Date();
+  return new Map(docs.map((doc) => [(doc.group || doc.peer).toString(), describeState(doc, now)]));
+};
+
+// Apply any of { pinned, archived, muted, mutedUntil, markedUnread, draft }.
+// Pinning takes a conversation out of the archive and archiving unpins it
+const updateState = async (userId, conversation, changes) => {
+  await ensureConversation(userId, conversation);
+
+  const now = new Date();
+  const set = {};
+  const unset = {};
+
+  if (changes.archived === true) {
+    set.archivedAt = now;
+    unset.pinnedAt = '';
+  } else if (changes.archived === false) {
+    unset.archivedAt = '';
+  }
+
+  if (changes.pinned === true) {
+    const { user, ...target } = conversationFilter(userId, conversation);
+    const pinnedElsewhere = await UserConversation.countDocuments({
+      user,
+      pinnedAt: { $ne: null },
+      $nor: [target]
+    });
+    if (pinnedElsewhere >= MAX_PINNED) {
+      throw new ServiceError(400, `You can pin up to ${MAX_PINNED} conversations`);
+    }
+
+    set.pinnedAt = now;
+    delete unset.pinnedAt;
+    delete set.archivedAt;
+    unset.archivedAt = '';
+  } else if (changes.pinned === false) {
+    unset.pinnedAt = '';
+  }
+
+  // A mute end date on its own also mutes
+  if (changes.muted === false) {
+    unset.mutedUntil = '';
+  } else if (changes.muted === true || changes.mutedUntil) {
+    const until = changes.mutedUntil ? new Date(changes.mutedUntil) : MUTE_FOREVER;
+    if (until <= now) {
+      throw new ServiceError(400, 'mutedUntil must be in the future');
+    }
+    set.mutedUntil = until;
+  }
+
+  if (typeof changes.markedUnread === 'boolean') {
+    set.markedUnread = changes.markedUnread;
+  }
+
+  if (typeof changes.draft === 'string') {
+    set.draft = { content: changes.draft.trim(), updatedAt: now };
+  }
+
+  if (Object.keys(set).length === 0 && Object.keys(unset).length === 0) {
+    throw new ServiceError(400, 'Nothing to update');
+  }
+
+  const update = { $set: set };
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+
+  const doc = await UserConversation.findOneAndUpdate(
+    conversationFilter(userId, conversation),
+    update,
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  announce(userId, doc);
+  return describeState(doc, now);
+};
+
+// Opening or reading a conversation clears "mark as unread"
+const clearUnreadMarker = async (userId, conversation) => {
+  const doc = await UserConversation.findOneAndUpdate(
+    { ...conversationFilter(userId, conversation), markedUnread: true },
+    { markedUnread: false },
+    { new: true }
+  );
+
+  if (doc) announce(userId, doc);
+};
+
+const isMuted = async (userId, conversation) => {
+  const muted = await UserConversation.exists({
+    ...conversationFilter(userId, conversation),
+    mutedUntil: { $gt: new Date() }
+  });
+  return Boolean(muted);
+};
+
+// Which of `userIds` have the group muted right now
+const mutedMemberIds = async (groupId, userIds) => {
+  const docs = await UserConversation.find({
+    user: { $in: userIds },
+    group: groupId,
+    peer: null,
+    mutedUntil: { $gt: new Date() }
+  }).select('user');
+
+  return docs.map((doc) => doc.user.toString());
+};
+
+// Pinned first, most recently pinned on top, then by latest activity.
+// Each item carries a `state`; `activityOf` gives its last activity time
+const sortByState = (items, activityOf) => items.sort((a, b) => {
+  const pinnedA = a.state.pinnedAt ? new Date(a.state.pinnedAt).getTime() : 0;
+  const pinnedB = b.state.pinnedAt ? new Date(b.state.pinnedAt).getTime() : 0;
+  if (pinnedA !== pinnedB) return pinnedB - pinnedA;
+
+  return new Date(activityOf(b) || 0).getTime() - new Date(activityOf(a) || 0).getTime();
+});
+
+module.exports = {
+  MAX_PINNED,
+  describeState,
+  sortByState,
+  getState,
+  getStates,
+  updateState,
+  clearUnreadMarker,
+  isMuted,
+  mutedMemberIds
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const UserConversation = require('../models/UserConversation');
+const { MUTE_FOREVER } = require('../models/UserConversation');
+const realtime = require('./realtime');
+const syncService = require('./syncService');
+const conversationService = require('./conversationService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('conversationService.updateState', () => {
+  let userId;
+  let peer;
+  let emitToUser;
+
+  // Echo the update back as the saved doc so the returned state reflects it
+  const savedUpdate = () => UserConversation.findOneAndUpdate.mock.calls[0][1];
+
+  beforeEach(() => {
+    userId = id();
+    peer = { type: 'user', id: id() };
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: userId });
+    jest.spyOn(Message, 'exists').mockResolvedValue(null);
+    jest.spyOn(UserConversation, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(UserConversation, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      ...filter,
+      ...update.$set
+    }));
+    emitToUser = jest.spyOn(realtime, 'emitToUser').mockImplementation(() => {});
+    jest.spyOn(syncService, 'recordForUsers').mockResolvedValue();
+  });
+
+  it('refuses a conversation with someone who is neither a friend nor in the history', async () => {
+    User.exists.mockResolvedValue(null);
+
+    await expect(conversationService.updateState(userId, peer, { pinned: true }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  it('unpins when archiving', async () => {
+    await conversationService.updateState(userId, peer, { archived: true });
+
+    expect(savedUpdate().$set.archivedAt).toBeInstanceOf(Date);
+    expect(savedUpdate().$unset).toEqual({ pinnedAt: '' });
+  });
+
+  it('takes the conversation out of the archive when pinning', async () => {
+    const state = await conversationService.updateState(userId, peer, { pinned: true, archived: true });
+
+    expect(savedUpdate().$set).not.toHaveProperty('archivedAt');
+    expect(savedUpdate().$unset).toEqual({ archivedAt: '' });
+    expect(state).toMatchObject({ pinned: true, archived: false });
+  });
+
+  it('caps the number of pinned conversations', async () => {
+    UserConversation.countDocuments.mockResolvedValue(conversationService.MAX_PINNED);
+
+    await expect(conversationService.updateState(userId, peer, { pinned: true }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(UserConversation.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('mutes until further notice without an end date', async () => {
+    const state = await conversationService.updateState(userId, peer, { muted: true });
+
+    expect(savedUpdate().$set.mutedUntil).toEqual(MUTE_FOREVER);
+    expect(state.muted).toBe(true);
+  });
+
+  it('rejects a mute end date in the past', async () => {
+    await expect(conversationService.updateState(userId, peer, { mutedUntil: '2000-01-01T00:00:00Z' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('rejects an update that changes nothing', async () => {
+    await expect(conversationService.updateState(userId, peer, {}))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it("tells the user's other devices about the change", async () => {
+    await conversationService.updateState(userId, peer, { markedUnread: true });
+
+    expect(emitToUser).toHaveBeenCalledWith(userId, 'conversation_updated', {
+      conversation: { type: 'user', id: peer.id },
+      state: expect.objectContaining({ markedUnread: true })
+    });
+    expect(syncService.recordForUsers).toHaveBeenCalledWith([userId], 'conversation_updated', expect.any(Object));
+  });
+});
+
+describe('conversationService.sortByState', () => {
+  it('puts the most recently pinned first, then the rest by activity', () => {
+    const item = (name, pinnedAt, activity) => ({ name, state: { pinnedAt }, activity });
+    const items = [
+      item('old', null, '2024-01-01'),
+      item('pinned-early', '2024-02-01', '2023-01-01'),
+      item('recent', null, '2024-03-01'),
+      item('pinned-late', '2024-02-10', '2023-01-01')
+    ];
+
+    const sorted = conversationService.sortByState(items, (i) => i.activity);
+
+    expect(sorted.map((i) => i.name)).toEqual(['pinned-late', 'pinned-early', 'recent', 'old']);
+  });
+});
@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const UserConversation = require('../models/UserConversation');
+const ServiceError = require('../utils/ServiceError');
+const privacyService = require('./privacyService');
+const { describeState } = require('./conversationService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const REBUILD_BATCH_SIZE = 500;
+
+const PEER_FIELDS = `username avatar status lastSeen ${privacyService.PRIVACY_FIELDS}`;
+
+const summaryFilter = (userId, peerId) => ({ user: userId, peer: peerId, group: null });
+
+const idOf = (value) => value._id || value;
+
+// Both sides' summaries of the message's conversation
+const participantsFilter = (message) => ({
+  user: { $in: [idOf(message.sender), idOf(message.recipient)] },
+  group: null
+});
+
+const summaryOf = (message) => ({
+  message: message._id,
+  sender: idOf(message.sender),
+  content: message.content,
+  messageType: message.messageType,
+  isDeleted: Boolean(message.isDeleted),
+  createdAt: message.createdAt
+});
+
+// Summaries trail the message change that has already been saved, so
+// failures are logged; a rebuild puts things right
+const safely = (label, fn) => async (...args) => {
+  try {
+    await fn(...args);
+  } catch (error) {
+    console.error(`Conversation summary ${label} error:`, error);
+  }
+};
+
+// A new 1:1 message is one more unread for the recipient and, unless a
+// newer one got there first, the latest message for both sides. Activity
+// only moves forward; the last message follows it when this one advanced it
+const messageSent = safely('send', async (message) => {
+  if (message.group) return;
+
+  const senderId = idOf(message.sender);
+  const recipientId = idOf(message.recipient);
+  const activity = { $max: { lastActivityAt: message.createdAt } };
+  const latest = (filter) => ({
+    updateOne: {
+      filter: { ...filter, lastActivityAt: message.createdAt },
+      update: { $set: { lastMessage: summaryOf(message) } }
+    }
+  });
+
+  // Ordered, so each summary's activity is settled before the last message
+  // is checked against it
+  await UserConversation.bulkWrite([
+    { updateOne: { filter: summaryFilter(senderId, recipientId), update: activity, upsert: true } },
+    { updateOne: { filter: summaryFilter(recipientId, senderId), update: { ...activity, $inc: { unreadCount: 1 } }, upsert: true } },
+    latest(summaryFilter(senderId, recipientId)),
+    latest(summaryFilter(recipientId, senderId))
+  ]);
+});
+
+const messageEdited = safely('edit', async (message) => {
+  if (message.group) return;
+
+  await UserConversation.updateMany(
+    { ...participantsFilter(message), 'lastMessage.message': message._id },
+    { 'lastMessage.content': message.content }
+  );
+});
+
+// Unread messages from `peerId` the user can still see. Tombstones of
+// messages deleted for everyone don't count
+const countUnread = (userId, peerId) => Message.countDocuments({
+  sender: peerId,
+  recipient: userId,
+  isRead: false,
+  isDeleted: { $ne: true },
+  deletedFor: { $ne: userId }
+});
+
+// Deleted for everyone: the tombstone stays the latest message, and if the
+// recipient hadn't read it, it's no longer waiting for them
+const messageRedacted = safely('redact', async (message) => {
+  if (message.group) return;
+
+  const senderId = idOf(message.sender);
+  const recipientId = idOf(message.recipient);
+
+  await UserConversation.updateMany(
+    { ...participantsFilter(message), 'lastMessage.message': message._id },
+    { 'lastMessage.content': '', 'lastMessage.isDeleted': true }
+  );
+  await UserConversation.updateOne(summaryFilter(recipientId, senderId), {
+    unreadCount: await countUnread(recipientId, senderId)
+  });
+});
+
+// Recount after messages from `peerIds` were read. Counting rather than
+// decrementing keeps races with new messages from drifting the number
+const messagesRead = safely('read', async (userId, peerIds) => {
+  await Promise.all(peerIds.map(async (peerId) => {
+    await UserConversation.updateOne(summaryFilter(userId, peerId), {
+      unreadCount: await countUnread(userId, peerId)
+    });
+  }));
+});
+
+// Work the user's summary out again from their messages with `peerId`,
+// e.g. after they deleted one for themselves
+const refresh = safely('refresh', async (userId, peerId) => {
+  const [latest, unreadCount] = await Promise.all([
+    Message.findOne({
+      $or: [
+        { sender: userId, recipient: peerId },
+        { sender: peerId, recipient: userId }
+      ],
+      deletedFor: { $ne: userId }
+    }).sort({ createdAt: -1 }),
+    countUnread(userId, peerId)
+  ]);
+
+  const update = latest
+    ? { $set: { lastMessage: summaryOf(latest), lastActivityAt: latest.createdAt, unreadCount } }
+    : { $set: { unreadCount: 0 }, $unset: { lastMessage: '', lastActivityAt: '' } };
+
+  await UserConversation.updateOne(summaryFilter(userId, peerId), update, { upsert: Boolean(latest) });
+});
+
+// List cursors are "<lastActivityAt ms>_<summary id>"
+const encodeCursor = (doc) => `${doc.lastActivityAt.getTime()}_${doc._id}`;
+
+const decodeCursor = (cursor) => {
+  const [time, id] = String(cursor).split('_');
+  if (!/^\d+$/.test(time) || !mongoose.isValidObjectId(id)) {
+    throw new ServiceError(400, 'Invalid cursor');
+  }
+  return { at: new Date(Number(time)), id };
+};
+
+const toListItem = (doc, viewerId, now) => ({
+  _id: doc.peer._id,
+  user: privacyService.filterProfile(doc.peer, viewerId),
+  lastMessage: {
+    _id: doc.lastMessage.message,
+    content: doc.lastMessage.content,
+    messageType: doc.lastMessage.messageType,
+    isDeleted: Boolean(doc.lastMessage.isDeleted),
+    createdAt: doc.lastMessage.createdAt,
+    sender: doc.lastMessage.sender
+  },
+  unreadCount: doc.unreadCount,
+  state: describeState(doc, now)
+});
+
+// The user's 1:1 conversations: pinned ones on the first page, then the rest
+// by latest activity, paged with `cursor`. Archived ones only when asked for
+const listConversations = async (userId, { includeArchived = false, cursor, limit } = {}) => {
+  limit = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const position = cursor ? decodeCursor(cursor) : null;
+
+  const filter = { user: userId, group: null, 'lastMessage.message': { $ne: null } };
+  if (!includeArchived) filter.archivedAt = null;
+
+  const pinned = position
+    ? []
+    : await UserConversation.find({ ...filter, pinnedAt: { $ne: null } })
+      .sort({ pinnedAt: -1 })
+      .populate('peer', PEER_FIELDS);
+
+  const range = position
+    ? {
+      $or: [
+        { lastActivityAt: { $lt: position.at } },
+        { lastActivityAt: position.at, _id: { $lt: position.id } }
+      ]
+    }
+    : {};
+
+  const rest = await UserConversation.find({ ...filter, pinnedAt: null, ...range })
+    .sort({ lastActivityAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('peer', PEER_FIELDS);
+
+  const hasMore = rest.length > limit;
+  if (hasMore) rest.pop();
+
+  const now = new Date();
+  // Peers whose accounts are gone drop out
+  const conversations = [...pinned, ...rest]
+    .filter((doc) => doc.peer)
+    .map((doc) => toListItem(doc, userId, now));
+
+  return {
+    conversations,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(rest[rest.length - 1]) : null
+    }
+  };
+};
+
+// Unread 1:1 messages across all conversations
+const getUnreadTotal = async (userId) => {
+  const [result] = await UserConversation.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), group: null, unreadCount: { $gt: 0 } } },
+    { $group: { _id: null, total: { $sum: '$unreadCount' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// Latest visible message and unread count for every user and peer, worked
+// out from the messages themselves
+const summaryPipeline = () => [
+  { $match: { group: null, recipient: { $ne: null } } },
+  { $sort: { createdAt: -1 } },
+  {
+    $project: {
+      sender: 1,
+      content: 1,
+      messageType: 1,
+      isDeleted: { $ifNull: ['$isDeleted', false] },
+      createdAt: 1,
+      deletedFor: { $ifNull: ['$deletedFor', []] },
+      side: [
+        { user: '$sender', peer: '$recipient', unread: 0 },
+        {
+          user: '$recipient',
+          peer: '$sender',
+          unread: { $cond: [{ $and: [{ $eq: ['$isRead', false] }, { $ne: ['$isDeleted', true] }] }, 1, 0] }
+        }
+      ]
+    }
+  },
+  { $unwind: '$side' },
+  { $match: { $expr: { $not: [{ $in: ['$side.user', '$deletedFor'] }] } } },
+  {
+    $group: {
+      _id: { user: '$side.user', peer: '$side.peer' },
+      lastMessage: {
+        $first: {
+          message: '$_id',
+          sender: '$sender',
+          content: '$content',
+          messageType: '$messageType',
+          isDeleted: '$isDeleted',
+          createdAt: '$createdAt'
+        }
+      },
+      unreadCount: { $sum: '$side.unread' }
+    }
+  }
+];
+
+const sameSummary = (doc, summary) => Boolean(doc) &&
+  doc.unreadCount === summary.unreadCount &&
+  doc.lastMessage?.message?.equals(summary.lastMessage.message) &&
+  doc.lastMessage.content === summary.lastMessage.content &&
+  Boolean(doc.lastMessage.isDeleted) === summary.lastMessage.isDeleted;
+
+const writeBatch = async (batch, dryRun) => {
+  const existing = await UserConversation.find({
+    $or: batch.map(({ _id }) => summaryFilter(_id.user, _id.peer))
+  }).select('user peer lastMessage unreadCount');
+  const byPair = new Map(existing.map((doc) => [`${doc.user}:${doc.peer}`, doc]));
+
+  const outdated = batch.filter((summary) => !sameSummary(byPair.get(`${summary._id.user}:${summary._id.peer}`), summary));
+
+  if (!dryRun && outdated.length > 0) {
+    await UserConversation.bulkWrite(outdated.map((summary) => ({
+      updateOne: {
+        filter: summaryFilter(summary._id.user, summary._id.peer),
+        update: {
+          $set: {
+            lastMessage: summary.lastMessage,
+            lastActivityAt: summary.lastMessage.createdAt,
+            unreadCount: summary.unreadCount
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  return outdated.length;
+};
+
+// Summaries of conversations with no message left that the user can see
+const findStale = () => UserConversation.aggregate([
+  { $match: { group: null, 'lastMessage.message': { $ne: null } } },
+  {
+    $lookup: {
+      from: Message.collection.name,
+      let: { user: '$user', peer: '$peer' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $or: [
+                { $and: [{ $eq: ['$sender', '$$user'] }, { $eq: ['$recipient', '$$peer'] }] },
+                { $and: [{ $eq: ['$sender', '$$peer'] }, { $eq: ['$recipient', '$$user'] }] }
+              ]
+            }
+          }
+        },
+        { $match: { $expr: { $not: [{ $in: ['$$user', { $ifNull: ['$deletedFor', []] }] }] } } },
+        { $limit: 1 },
+        { $project: { _id: 1 } }
+      ],
+      as: 'visible'
+    }
+  },
+  { $match: { visible: { $size: 0 } } },
+  { $project: { 'lastMessage.message': 1 } }
+]);
+
+// Backfill or repair every 1:1 summary from the messages collection.
+// Every conversation with messages is written where it differs, then
+// summaries with nothing left to show are cleared, unless a new message
+// moved them on in the meantime. Safe to run while the server is up
+const rebuildSummaries = async ({ dryRun = false } = {}) => {
+  const report = { checked: 0, updated: 0, cleared: 0 };
+
+  let batch = [];
+  const summaries = Message.aggregate(summaryPipeline()).allowDiskUse(true).cursor();
+
+  for await (const summary of summaries) {
+    batch.push(summary);
+    report.checked += 1;
+
+    if (batch.length === REBUILD_BATCH_SIZE) {
+      report.updated += await writeBatch(batch, dryRun);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    report.updated += await writeBatch(batch, dryRun);
+  }
+
+  const stale = await findStale();
+  report.cleared = stale.length;
+
+  if (!dryRun && stale.length > 0) {
+    await UserConversation.bulkWrite(stale.map((doc) => ({
+      updateOne: {
+        filter: { _id: doc._id, 'lastMessage.message': doc.lastMessage.message },
+        update: { $set: { unreadCount: 0 }, $unset: { lastMessage: '', lastActivityAt: '' } }
+      }
+    })));
+  }
+
+  return report;
+};
+
+module.exports = {
+  messageSent,
+  messageEdited,
+  messageRedacted,
+  messagesRead,
+  refresh,
+  listConversations,
+  getUnreadTotal,
+  rebuildSummaries
+};
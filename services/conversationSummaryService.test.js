@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const UserConversation = require('../models/UserConversation');
+const conversationSummaryService = require('./conversationSummaryService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('conversationSummaryService', () => {
+  let sender;
+  let recipient;
+
+  beforeEach(() => {
+    sender = id();
+    recipient = id();
+    jest.spyOn(UserConversation, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(UserConversation, 'updateOne').mockResolvedValue({});
+    jest.spyOn(UserConversation, 'updateMany').mockResolvedValue({});
+  });
+
+  describe('messageSent', () => {
+    it('only sets the last message on summaries whose activity this message set', async () => {
+      const message = { _id: id(), sender, recipient, content: 'hi', createdAt: new Date() };
+
+      await conversationSummaryService.messageSent(message);
+
+      const ops = UserConversation.bulkWrite.mock.calls[0][0].map((op) => op.updateOne);
+      expect(ops[0].update).toEqual({ $max: { lastActivityAt: message.createdAt } });
+      expect(ops[1].update.$inc).toEqual({ unreadCount: 1 });
+      ops.slice(2).forEach((op) => {
+        expect(op.filter.lastActivityAt).toBe(message.createdAt);
+        expect(op.update.$set.lastMessage.message).toBe(message._id);
+      });
+    });
+  });
+
+  describe('messageRedacted', () => {
+    it("recounts the recipient's unread messages without the deleted one", async () => {
+      const countDocuments = jest.spyOn(Message, 'countDocuments').mockResolvedValue(2);
+      const message = { _id: id(), sender, recipient, isDeleted: true };
+
+      await conversationSummaryService.messageRedacted(message);
+
+      expect(countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+        sender,
+        recipient,
+        isRead: false,
+        isDeleted: { $ne: true }
+      }));
+      expect(UserConversation.updateOne).toHaveBeenCalledWith(
+        { user: recipient, peer: sender, group: null },
+        { unreadCount: 2 }
+      );
+    });
+  });
+
+  describe('messagesRead', () => {
+    it('leaves messages deleted for everyone out of the count', async () => {
+      const countDocuments = jest.spyOn(Message, 'countDocuments').mockResolvedValue(0);
+
+      await conversationSummaryService.messagesRead(recipient, [sender]);
+
+      expect(countDocuments.mock.calls[0][0].isDeleted).toEqual({ $ne: true });
+    });
+  });
+
+  describe('rebuildSummaries', () => {
+    const summary = {
+      _id: { user: id(), peer: id() },
+      lastMessage: { message: id(), content: 'hi', isDeleted: false, createdAt: new Date() },
+      unreadCount: 1
+    };
+    const stale = { _id: id(), lastMessage: { message: id() } };
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+      jest.spyOn(Message, 'aggregate').mockReturnValue({
+        allowDiskUse: () => ({
+          cursor: async function* () {
+            yield summary;
+          }
+        })
+      });
+      jest.spyOn(UserConversation, 'find').mockReturnValue({ select: async () => [] });
+      jest.spyOn(UserConversation, 'aggregate').mockImplementation(async () => {
+        calls.push('findStale');
+        return [stale];
+      });
+      UserConversation.bulkWrite.mockImplementation(async (ops) => {
+        calls.push(ops[0].updateOne.upsert ? 'upsert' : 'clear');
+        return {};
+      });
+    });
+
+    it('writes summaries before clearing stale ones', async () => {
+      const report = await conversationSummaryService.rebuildSummaries();
+
+      expect(calls).toEqual(['upsert', 'findStale', 'clear']);
+      expect(report).toEqual({ checked: 1, updated: 1, cleared: 1 });
+    });
+
+    it("doesn't clear a summary a new message has moved on since", async () => {
+      await conversationSummaryService.rebuildSummaries();
+
+      const [clear] = UserConversation.bulkWrite.mock.calls[1][0];
+      expect(clear.updateOne.filter).toEqual({ _id: stale._id, 'lastMessage.message': stale.lastMessage.message });
+    });
+
+    it('counts only unread messages that are not deleted for everyone', async () => {
+      await conversationSummaryService.rebuildSummaries({ dryRun: true });
+
+      const project = Message.aggregate.mock.calls[0][0].find((stage) => stage.$project).$project;
+      expect(project.side[1].unread).toEqual({
+        $cond: [{ $and: [{ $eq: ['$isRead', false] }, { $ne: ['$isDeleted', true] }] }, 1, 0]
+      });
+    });
+
+    it('changes nothing on a dry run', async () => {
+      const report = await conversationSummaryService.rebuildSummaries({ dryRun: true });
+
+      expect(UserConversation.bulkWrite).not.toHaveBeenCalled();
+      expect(report).toEqual({ checked: 1, updated: 1, cleared: 1 });
+    });
+  });
+});
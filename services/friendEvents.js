@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const realtime = require('./realtime');
+const privacyService = require('./privacyService');
+const syncService = require('./syncService');
+
+const FRIEND_FIELDS = `username avatar bio status lastSeen ${privacyService.PRIVACY_FIELDS}`;
+
+// Emit live and describe the same event for sync, so devices that were
+// offline catch up on it later
+const send = (userId, event, payload) => {
+  realtime.emitToUser(userId, event, payload);
+  return { users: [userId], type: event, data: payload };
+};
+
+// A request with its populated sender as `viewerId` may see them
+const requestFor = (friendRequest, viewerId) => ({
+  ...friendRequest.toObject(),
+  sender: privacyService.filterProfile(friendRequest.sender, viewerId)
+});
+
+// Tell the recipient about a new request, and the sender's other devices
+// too. `sender` must be populated with the privacy fields
+const requestSent = (friendRequest) => {
+  const senderId = friendRequest.sender._id;
+  const recipientId = friendRequest.recipient;
+
+  syncService.record([
+    send(recipientId, 'friend_request_received', requestFor(friendRequest, recipientId)),
+    send(senderId, 'friend_request_sent', requestFor(friendRequest, senderId))
+  ]);
+};
+
+// Both users get each other as a new friend, with current presence, so
+// friend lists and online indicators update without a refetch
+const requestAccepted = async (friendRequest) => {
+  const senderId = friendRequest.sender._id || friendRequest.sender;
+  const recipientId = friendRequest.recipient._id || friendRequest.recipient;
+
+  const [sender, recipient] = await Promise.all([
+    User.findById(senderId).select(FRIEND_FIELDS),
+    User.findById(recipientId).select(FRIEND_FIELDS)
+  ]);
+  if (!sender || !recipient) return;
+
+  syncService.record([
+    send(senderId, 'friend_request_accepted', {
+      requestId: friendRequest._id,
+      friend: privacyService.filterProfile(recipient, senderId)
+    }),
+    send(senderId, 'friend_added', { friend: privacyService.filterProfile(recipient, senderId) }),
+    send(recipientId, 'friend_added', { friend: privacyService.filterProfile(sender, recipientId) })
+  ]);
+
+  [[senderId, recipient], [recipientId, sender]].forEach(([userId, friend]) => {
+    const update = privacyService.presenceFor(friend, userId);
+    if (update) realtime.emitToUser(userId, 'presence_update', update);
+  });
+};
+
+const requestRejected = (friendRequest) => {
+  const senderId = friendRequest.sender._id || friendRequest.sender;
+  const recipientId = friendRequest.recipient._id || friendRequest.recipient;
+  const payload = {
+    requestId: friendRequest._id,
+    userId: recipientId
+  };
+
+  syncService.record([
+    send(senderId, 'friend_request_rejected', payload),
+    send(recipientId, 'friend_request_rejected', payload)
+  ]);
+};
+
+// Either side ending the friendship updates both users' friend lists
+const friendRemoved = (userId, friendId) => {
+  syncService.record([
+    send(userId, 'friend_removed', { userId: friendId }),
+    send(friendId, 'friend_removed', { userId })
+  ]);
+};
+
+// Friends see the new profile through their own privacy view; the user's
+// other devices get all of it, privacy settings included
+const profileUpdated = async (userId) => {
+  const user = await User.findById(userId).select(`email ${FRIEND_FIELDS}`);
+  if (!user) return;
+
+  const { friends, ...profile } = user.toObject();
+
+  syncService.record([
+    send(userId, 'profile_updated', { user: profile }),
+    ...user.friends.map((friendId) => send(friendId, 'profile_updated', {
+      user: privacyService.filterProfile(user, friendId)
+    }))
+  ]);
+};
+
+module.exports = {
+  requestFor,
+  requestSent,
+  requestAccepted,
+  requestRejected,
+  friendRemoved,
+  profileUpdated
+};
@@ -0,0 +1,291 @@
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const ServiceError = require('../utils/ServiceError');
+const { withTransaction } = require('./transaction');
+const friendEvents = require('./friendEvents');
+const notificationService = require('./notificationService');
+const privacyService = require('./privacyService');
+
+const SENDER_FIELDS = `username avatar bio ${privacyService.PRIVACY_FIELDS}`;
+
+// Both sides of a friendship are written together or not at all
+const addFriendship = async (userId, friendId, session) => {
+  await User.updateOne({ _id: userId }, { $addToSet: { friends: friendId } }, { session });
+  await User.updateOne({ _id: friendId }, { $addToSet: { friends: userId } }, { session });
+};
+
+const removeFriendship = async (userId, friendId, session) => {
+  await User.updateOne({ _id: userId }, { $pull: { friends: friendId } }, { session });
+  await User.updateOne({ _id: friendId }, { $pull: { friends: userId } }, { session });
+};
+
+// Live events and a notification once an accept has been committed
+const announceAccepted = async (friendRequest, acceptedBy) => {
+  await friendRequest.populate('sender', SENDER_FIELDS);
+  await friendEvents.requestAccepted(friendRequest);
+
+  notificationService.notify({
+    recipientId: friendRequest.sender._id,
+    type: 'friend_accepted',
+    actorId: acceptedBy,
+    data: { friendRequest: friendRequest._id }
+  }).catch((error) => console.error('Friend accepted notification error:', error));
+};
+
+// Create a request, or accept the other user's pending request if they
+// already asked us. Runs in one transaction so the request and both
+// friends lists change together
+const createOrAcceptRequest = (senderId, recipientId, message) => withTransaction(async (session) => {
+  const alreadyFriends = await User.exists({ _id: senderId, friends: recipientId }).session(session);
+  if (alreadyFriends) {
+    throw new ServiceError(400, 'You are already friends with this user');
+  }
+
+  const pending = await FriendRequest.findOne({
+    $or: [
+      { sender: senderId, recipient: recipientId },
+      { sender: recipientId, recipient: senderId }
+    ],
+    status: 'pending'
+  }).session(session);
+
+  if (pending && pending.sender.equals(senderId)) {
+    throw new ServiceError(400, 'Friend request already sent');
+  }
+
+  if (pending) {
+    pending.status = 'accepted';
+    await pending.save({ session });
+    await addFriendship(senderId, recipientId, session);
+    return { friendRequest: pending, autoAccepted: true };
+  }
+
+  // Clear out an old rejected/accepted request in this direction so the
+  // unique {sender, recipient} index doesn't stop a new one
+  await FriendRequest.deleteOne({
+    sender: senderId,
+    recipient: recipientId,
+    status: { $ne: 'pending' }
+  }, { session });
+
+  const [friendRequest] = await FriendRequest.create([{
+    sender: senderId,
+    recipient: recipientId,
+    message: message || ''
+  }], { session });
+
+  return { friendRequest, autoAccepted: false };
+});
+
+const isPairKeyConflict = (error) => error.code === 11000 && Boolean(error.keyPattern?.pairKey);
+
+const sendRequest = async ({ senderId, recipientId, message }) => {
+  if (senderId.toString() === recipientId.toString()) {
+    throw new ServiceError(400, 'You cannot send a friend request to yourself');
+  }
+
+  const recipient = await User.findById(recipientId);
+  if (!recipient) {
+    throw new ServiceError(404, 'User not found');
+  }
+
+  // Blocking stops friend requests in both directions
+  if (await User.isBlockedBetween(senderId, recipientId)) {
+    throw new ServiceError(403, 'You cannot send a friend request to this user');
+  }
+
+  if (!(await privacyService.canSendFriendRequest(senderId, recipient))) {
+    throw new ServiceError(403, 'This user is not accepting friend requests');
+  }
+
+  // Losing a race with the other user's request trips the pending-pair
+  // index; by the second attempt their request is visible and gets accepted
+  let outcome;
+  try {
+    outcome = await createOrAcceptRequest(senderId, recipientId, message);
+  } catch (error) {
+    if (!isPairKeyConflict(error)) throw error;
+    outcome = await createOrAcceptRequest(senderId, recipientId, message);
+  }
+
+  const { friendRequest, autoAccepted } = outcome;
+
+  if (autoAccepted) {
+    await announceAccepted(friendRequest, senderId);
+    return { friendRequest: friendEvents.requestFor(friendRequest, senderId), autoAccepted };
+  }
+
+  await friendRequest.populate('sender', SENDER_FIELDS);
+  friendEvents.requestSent(friendRequest);
+
+  notificationService.notify({
+    recipientId,
+    type: 'friend_request',
+    actorId: senderId,
+    data: { friendRequest: friendRequest._id }
+  }).catch((error) => console.error('Friend request notification error:', error));
+
+  return { friendRequest: friendEvents.requestFor(friendRequest, senderId), autoAccepted };
+};
+
+const acceptRequest = async (userId, requestId) => {
+  const friendRequest = await withTransaction(async (session) => {
+    const request = await FriendRequest.findOneAndUpdate(
+      { _id: requestId, recipient: userId, status: 'pending' },
+      { status: 'accepted' },
+      { new: true, session }
+    );
+    if (!request) {
+      throw new ServiceError(404, 'Friend request not found');
+    }
+
+    await addFriendship(userId, request.sender, session);
+    return request;
+  });
+
+  await announceAccepted(friendRequest, userId);
+  return friendEvents.requestFor(friendRequest, userId);
+};
+
+const rejectRequest = async (userId, requestId) => {
+  const friendRequest = await FriendRequest.findOneAndUpdate(
+    { _id: requestId, recipient: userId, status: 'pending' },
+    { status: 'rejected' },
+    { new: true }
+  ).populate('sender', SENDER_FIELDS);
+  if (!friendRequest) {
+    throw new ServiceError(404, 'Friend request not found');
+  }
+
+  friendEvents.requestRejected(friendRequest);
+  return friendEvents.requestFor(friendRequest, userId);
+};
+
+const removeFriend = async (userId, friendId) => {
+  await withTransaction(async (session) => {
+    const isFriend = await User.exists({ _id: userId, friends: friendId }).session(session);
+    if (!isFriend) {
+      throw new ServiceError(400, 'You are not friends with this user');
+    }
+
+    await removeFriendship(userId, friendId, session);
+  });
+
+  friendEvents.friendRemoved(userId, friendId);
+};
+
+// Find and fix half-applied friendship changes:
+// - one-sided `friends` entries are completed, unless the users have blocked
+//   each other or the other account is gone, in which case they are dropped
+// - pairs with pending requests in both directions are accepted
+// - requests saved before pairKey existed get one
+// With `dryRun` nothing is written; the report says what would change
+const repairFriendships = async ({ dryRun = false } = {}) => {
+  const report = { completed: 0, dropped: 0, mutualAccepted: 0, pairKeysFilled: 0 };
+
+  const oneSided = await User.aggregate([
+    { $project: { friends: 1, blockedUsers: 1 } },
+    { $unwind: '$friends' },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'friends',
+        foreignField: '_id',
+        as: 'friend',
+        pipeline: [{ $project: { friends: 1, blockedUsers: 1 } }]
+      }
+    },
+    { $unwind: { path: '$friend', preserveNullAndEmptyArrays: true } },
+    {
+      $match: {
+        $expr: {
+          $or: [
+            { $eq: [{ $type: '$friend' }, 'missing'] },
+            { $not: [{ $in: ['$_id', { $ifNull: ['$friend.friends', []] }] }] }
+          ]
+        }
+      }
+    }
+  ]);
+
+  for (const entry of oneSided) {
+    const userId = entry._id;
+    const friendId = entry.friends;
+    const blocked = entry.friend && (
+      (entry.blockedUsers || []).some((id) => id.equals(friendId)) ||
+      (entry.friend.blockedUsers || []).some((id) => id.equals(userId))
+    );
+
+    if (!entry.friend || blocked) {
+      report.dropped += 1;
+      if (!dryRun) {
+        await User.updateOne({ _id: userId }, { $pull: { friends: friendId } });
+      }
+    } else {
+      report.completed += 1;
+      if (!dryRun) {
+        await withTransaction((session) => addFriendship(userId, friendId, session));
+      }
+    }
+  }
+
+  const mutual = await FriendRequest.aggregate([
+    { $match: { status: 'pending' } },
+    {
+      $lookup: {
+        from: 'friendrequests',
+        let: { sender: '$sender', recipient: '$recipient' },
+        pipeline: [{
+          $match: {
+            status: 'pending',
+            $expr: {
+              $and: [
+                { $eq: ['$sender', '$$recipient'] },
+                { $eq: ['$recipient', '$$sender'] }
+              ]
+            }
+          }
+        }],
+        as: 'reverse'
+      }
+    },
+    { $match: { 'reverse.0': { $exists: true } } },
+    // Each pair shows up twice; keep the direction with the lower sender id
+    { $match: { $expr: { $lt: ['$sender', '$recipient'] } } }
+  ]);
+
+  for (const request of mutual) {
+    report.mutualAccepted += 1;
+    if (dryRun) continue;
+
+    await withTransaction(async (session) => {
+      await FriendRequest.updateMany(
+        { _id: { $in: [request._id, request.reverse[0]._id] } },
+        { status: 'accepted' },
+        { session }
+      );
+      await addFriendship(request.sender, request.recipient, session);
+    });
+  }
+
+  const missingPairKey = await FriendRequest.find({ pairKey: { $exists: false } }).select('sender recipient');
+  report.pairKeysFilled = missingPairKey.length;
+  if (!dryRun && missingPairKey.length > 0) {
+    await FriendRequest.bulkWrite(missingPairKey.map((request) => ({
+      updateOne: {
+        filter: { _id: request._id },
+        update: { $set: { pairKey: FriendRequest.pairKey(request.sender, request.recipient) } }
+      }
+    })));
+  }
+
+  return report;
+};
+
+module.exports = {
+  sendRequest,
+  acceptRequest,
+  rejectRequest,
+  removeFriend,
+  repairFriendships
+};
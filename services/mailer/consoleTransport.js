@@ -0,0 +1,10 @@
+// Development transport: prints every email to the server log
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    return { accepted: [to] };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local testing transport: writes each email as a JSON file under MAIL_DIR
+// so tests and developers can read the links out of them
+const createFileTransport = ({ dir = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail') } = {}) => ({
+  name: 'file',
+  send: async (mail) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeTo = mail.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const filePath = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...mail, sentAt: new Date() }, null, 2));
+
+    return { accepted: [mail.to], path: filePath };
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,38 @@
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+
+// Mail transports all expose the same interface:
+//   send({ to, subject, text, html }) -> Promise<{ accepted }>
+// Register new transports here and pick one with MAIL_TRANSPORT.
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. to capture mail in tests
+const setTransport = (adapter) => {
+  transport = adapter;
+};
+
+const sendMail = (mail) => getTransport().send({
+  from: process.env.MAIL_FROM || 'RiiBah <no-reply@riibah.app>',
+  ...mail
+});
+
+module.exports = {
+  sendMail,
+  setTransport
+};
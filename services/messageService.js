@@ -0,0 +1,674 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const ServiceError = require('../utils/ServiceError');
+const realtime = require('./realtime');
+const blockService = require('./blockService');
+const notificationService = require('./notificationService');
+const pushService = require('./pushService');
+const receiptService = require('./receiptService');
+const attachmentService = require('./attachmentService');
+const syncService = require('./syncService');
+const privacyService = require('./privacyService');
+const conversationService = require('./conversationService');
+const conversationSummaryService = require('./conversationSummaryService');
+
+const MESSAGE_TYPES = ['text', 'image', 'file'];
+
+// Sender and the quoted message's sender, as clients render them. Always
+// sent out through presentMessage so privacy settings apply
+const PROFILE_FIELDS = `username avatar ${privacyService.PRIVACY_FIELDS}`;
+const MESSAGE_POPULATE = [
+  { path: 'sender', select: PROFILE_FIELDS },
+  { path: 'replyTo.sender', select: PROFILE_FIELDS }
+];
+
+// How much of the parent's text a reply keeps as its quote, in characters
+// as users see them
+const REPLY_PREVIEW_LENGTH = 100;
+
+const graphemes = new Intl.Segmenter();
+
+// A single emoji, possibly with skin tone, ZWJ sequence or flag; keycaps too
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component})+$/u;
+const EMOJI_BASE = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+
+// How long after sending a message the sender may still edit it
+const EDIT_WINDOW_MS = parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 15 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Content is optional only when an attachment carries the message
+const hasBody = (content, attachment) => Boolean(attachment) || Boolean(content && content.trim());
+
+// Web Push for recipients with no socket connected, if they allow message pushes
+const pushMessage = async (recipientId, message) => {
+  const recipient = await User.findById(recipientId).select('notificationPreferences');
+  if (recipient?.notificationPreferences?.message?.push === false) return;
+
+  await pushService.pushToOfflineUser(recipientId, pushService.messagePayload(message));
+};
+
+// The first `max` graphemes of `text`, so emoji and surrogate pairs are
+// never cut in half
+const truncateGraphemes = (text, max) => {
+  let end = 0;
+  let count = 0;
+  for (const { index, segment } of graphemes.segment(text)) {
+    if (count === max) break;
+    end = index + segment.length;
+    count += 1;
+  }
+  return text.slice(0, end);
+};
+
+// Snapshot of the message being replied to, which has to be in the same
+// conversation (`scopes`) and still visible to the sender
+const replySnapshot = async (replyToId, scopes) => {
+  if (!replyToId) return undefined;
+
+  if (!isObjectIdString(String(replyToId))) {
+    throw new ServiceError(400, 'replyToId must be a message ID');
+  }
+
+  const parent = await Message.findOne({ _id: replyToId, $or: scopes });
+  if (!parent) {
+    throw new ServiceError(404, 'The message you are replying to was not found in this conversation');
+  }
+
+  if (parent.isDeleted) {
+    throw new ServiceError(400, 'You cannot reply to a deleted message');
+  }
+
+  return {
+    message: parent._id,
+    sender: parent.sender,
+    content: truncateGraphemes(parent.content || '', REPLY_PREVIEW_LENGTH),
+    messageType: parent.messageType,
+    attachmentName: parent.attachment?.name
+  };
+};
+
+// The message with its populated profiles as `viewerId` may see them.
+// Without a viewer (a whole group, or its sync log) only public fields stay
+const presentMessage = (message, viewerId = null) => {
+  const payload = message.toJSON();
+
+  if (message.sender instanceof User) {
+    payload.sender = privacyService.filterProfile(message.sender, viewerId);
+  }
+  if (message.replyTo?.sender instanceof User) {
+    payload.replyTo.sender = privacyService.filterProfile(message.replyTo.sender, viewerId);
+  }
+
+  return payload;
+};
+
+// Messages whose content a payload of this message carries
+const contentRefs = (message) => [message._id, message.replyTo?.message].filter(Boolean);
+
+// What everyone in the message's conversation gets: in a 1:1 chat the
+// other participant's view, in a group the public one
+const conversationPayload = (message) => presentMessage(message, message.group ? null : message.recipient);
+
+// Single delivery path for REST and sockets: validate, persist, then push
+// the stored message to every device of the recipient
+const sendMessage = async ({ senderId, recipientId, content, messageType = 'text', attachment, replyToId, isForwarded = false }) => {
+  if (!recipientId || !hasBody(content, attachment)) {
+    throw new ServiceError(400, 'Recipient ID and content are required');
+  }
+
+  if (!MESSAGE_TYPES.includes(messageType)) {
+    throw new ServiceError(400, 'Invalid message type');
+  }
+
+  // Check if recipient exists and is a friend
+  const sender = await User.findById(senderId);
+  if (!sender || !sender.friends.includes(recipientId)) {
+    throw new ServiceError(403, 'You can only send messages to your friends');
+  }
+
+  if (await User.isBlockedBetween(senderId, recipientId)) {
+    throw new ServiceError(403, 'You cannot send messages to this user');
+  }
+
+  const replyTo = await replySnapshot(replyToId, directScopes(senderId, recipientId));
+
+  // Create message
+  const message = new Message({
+    sender: senderId,
+    recipient: recipientId,
+    content: content ? content.trim() : '',
+    messageType,
+    attachment,
+    replyTo,
+    isForwarded
+  });
+  message.setAttachmentUrls();
+
+  await message.save();
+
+  // Populate sender info for delivery
+  await message.populate(MESSAGE_POPULATE);
+  await conversationSummaryService.messageSent(message);
+
+  // Muted senders and muted chats still get through, just flagged so
+  // clients stay quiet
+  const silent = await blockService.hasMuted(recipientId, senderId) ||
+    await conversationService.isMuted(recipientId, { type: 'user', id: senderId });
+  const payload = conversationPayload(message);
+  // Any recipient device acknowledging the event marks the message delivered
+  realtime.emitToUserWithAck(recipientId, 'receive_message', payload, { silent })
+    .then((acks) => acks.length > 0 && receiptService.markDelivered(recipientId, [message._id]))
+    .catch((error) => console.error('Delivery receipt error:', error));
+
+  // The sender's other devices pick it up on their next sync
+  syncService.recordForUsers([message.sender._id, recipientId], 'receive_message', payload, contentRefs(message));
+
+  if (!silent) {
+    pushMessage(recipientId, message).catch((error) => {
+      console.error('Message push error:', error);
+    });
+  }
+
+  return presentMessage(message, senderId);
+};
+
+// Usernames mentioned as @username in a message
+const parseMentions = (content) => {
+  const names = (content || '').match(/@([a-zA-Z0-9_.-]{3,20})/g) || [];
+  return [...new Set(names.map((name) => name.slice(1).toLowerCase()))];
+};
+
+// Notify group members mentioned in a message; resolves with their ids
+const notifyMentions = async (group, message) => {
+  const usernames = parseMentions(message.content);
+  if (usernames.length === 0) return [];
+
+  // Members who muted the group aren't pinged either
+  const memberIds = group.members.map((member) => member.user);
+  const mutedIds = await conversationService.mutedMemberIds(group._id, memberIds);
+  const mentioned = await User.find({
+    _id: { $in: memberIds, $ne: message.sender._id || message.sender, $nin: mutedIds },
+    username: { $in: usernames.map((name) => new RegExp(`^${name.replace(/[.]/g, '\\.')}$`, 'i')) }
+  }).select('_id');
+
+  await Promise.all(mentioned.map((user) => notificationService.notify({
+    recipientId: user._id,
+    type: 'mention',
+    actorId: message.sender._id || message.sender,
+    data: { group: group._id, message: message._id }
+  })));
+
+  return mentioned.map((user) => user._id);
+};
+
+// Web Push for group members with no socket connected. Left out: the
+// sender, members who muted the group or the sender, those who turned
+// message pushes off and `skipIds` (e.g. members a mention already pinged)
+const pushGroupMessage = async (group, message, skipIds = []) => {
+  const senderId = message.sender._id || message.sender;
+  const memberIds = group.members.map((member) => member.user);
+  const mutedIds = await conversationService.mutedMemberIds(group._id, memberIds);
+
+  const recipients = await User.find({
+    _id: { $in: memberIds, $nin: [senderId, ...mutedIds, ...skipIds] },
+    mutedUsers: { $ne: senderId },
+    'notificationPreferences.message.push': { $ne: false }
+  }).select('_id');
+
+  const payload = pushService.groupMessagePayload(group, message);
+  await Promise.all(recipients.map((recipient) => pushService.pushToOfflineUser(recipient._id, payload)));
+};
+
+// Same as sendMessage, but for a group: the sender must be a member and the
+// message goes to the group's room instead of a single recipient
+const sendGroupMessage = async ({ senderId, groupId, content, messageType = 'text', attachment, replyToId, isForwarded = false }) => {
+  if (!groupId || !hasBody(content, attachment)) {
+    throw new ServiceError(400, 'Group ID and content are required');
+  }
+
+  if (!MESSAGE_TYPES.includes(messageType)) {
+    throw new ServiceError(400, 'Invalid message type');
+  }
+
+  const group = await Group.findById(groupId);
+  if (!group || !group.isMember(senderId)) {
+    throw new ServiceError(403, 'You are not a member of this group');
+  }
+
+  const replyTo = await replySnapshot(replyToId, groupScopes(groupId, senderId));
+
+  const message = new Message({
+    sender: senderId,
+    group: groupId,
+    content: content ? content.trim() : '',
+    messageType,
+    attachment,
+    replyTo,
+    isForwarded
+  });
+  message.setAttachmentUrls();
+
+  await message.save();
+
+  // Bump unread counts for everyone except the sender
+  await Group.updateOne(
+    { _id: groupId },
+    {
+      $set: { lastMessageAt: message.createdAt },
+      $inc: { 'members.$[other].unreadCount': 1 }
+    },
+    { arrayFilters: [{ 'other.user': { $ne: message.sender } }] }
+  );
+
+  await message.populate(MESSAGE_POPULATE);
+
+  const payload = conversationPayload(message);
+  realtime.emitToGroup(groupId, 'receive_group_message', payload);
+  syncService.recordForGroup(groupId, 'receive_group_message', payload, contentRefs(message));
+
+  // A forwarded copy doesn't ping the people mentioned in the original again
+  const mentioned = isForwarded
+    ? Promise.resolve([])
+    : notifyMentions(group, message).catch((error) => {
+      console.error('Mention notification error:', error);
+      return [];
+    });
+
+  // Members a mention already pinged don't get a second push
+  mentioned
+    .then((mentionedIds) => pushGroupMessage(group, message, mentionedIds))
+    .catch((error) => {
+      console.error('Group message push error:', error);
+    });
+
+  return presentMessage(message, senderId);
+};
+
+// Conversation scopes for a 1:1 chat, one per direction, so each branch of
+// the query can use the {sender, recipient, createdAt} index. Messages the
+// viewer deleted for themselves are left out
+const directScopes = (userId, otherUserId) => [
+  { sender: userId, recipient: otherUserId, deletedFor: { $ne: userId } },
+  { sender: otherUserId, recipient: userId, deletedFor: { $ne: userId } }
+];
+
+const groupScopes = (groupId, userId) => [{ group: groupId, deletedFor: { $ne: userId } }];
+
+const isObjectIdString = (value) => /^[0-9a-fA-F]{24}$/.test(value);
+
+// Turn a cursor (message id or timestamp) into a position in the conversation.
+// Message ids also carry their _id so messages sharing a timestamp aren't skipped
+const resolveCursor = async (cursor, scopes) => {
+  if (isObjectIdString(cursor)) {
+    const message = await Message.findOne({ _id: cursor, $or: scopes }).select('createdAt');
+    if (!message) {
+      throw new ServiceError(404, 'Cursor message not found in this conversation');
+    }
+    return { createdAt: message.createdAt, _id: message._id };
+  }
+
+  const createdAt = new Date(/^\d+$/.test(cursor) ? Number(cursor) : cursor);
+  if (isNaN(createdAt.getTime())) {
+    throw new ServiceError(400, 'Cursor must be a message ID or a timestamp');
+  }
+  return { createdAt };
+};
+
+// Strictly before/after a position, repeated for each scope
+const rangeFilter = (scopes, position, direction) => {
+  const op = direction === 'after' ? '$gt' : '$lt';
+
+  return {
+    $or: scopes.flatMap((scope) => {
+      const clauses = [{ ...scope, createdAt: { [op]: position.createdAt } }];
+      if (position._id) {
+        clauses.push({ ...scope, createdAt: position.createdAt, _id: { [op]: position._id } });
+      }
+      return clauses;
+    })
+  };
+};
+
+// Fetch one page walking away from the position; always returned oldest first
+const fetchPage = async (scopes, position, direction, limit) => {
+  const filter = position ? rangeFilter(scopes, position, direction) : { $or: scopes };
+  const order = direction === 'after' ? 1 : -1;
+
+  const messages = await Message.find(filter)
+    .populate(MESSAGE_POPULATE)
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  if (hasMore) messages.pop();
+
+  if (direction !== 'after') messages.reverse();
+
+  return { messages, hasMore };
+};
+
+// Cursor-paginated history as `viewerId` sees it. Pass `before` to page
+// back, `after` to page forward, or `around` a message id to load the
+// context surrounding it
+const getHistory = async ({ scopes, viewerId, before, after, around, limit }) => {
+  limit = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (around) {
+    if (!isObjectIdString(around)) {
+      throw new ServiceError(400, 'around must be a message ID');
+    }
+
+    const target = await Message.findOne({ _id: around, $or: scopes })
+      .populate(MESSAGE_POPULATE);
+    if (!target) {
+      throw new ServiceError(404, 'Message not found in this conversation');
+    }
+
+    const position = { createdAt: target.createdAt, _id: target._id };
+    const olderLimit = Math.floor((limit - 1) / 2);
+    const older = await fetchPage(scopes, position, 'before', olderLimit);
+    const newer = await fetchPage(scopes, position, 'after', limit - 1 - olderLimit);
+    const messages = [...older.messages, target, ...newer.messages];
+
+    return {
+      messages: messages.map((message) => presentMessage(message, viewerId)),
+      pagination: {
+        limit,
+        hasMoreBefore: older.hasMore,
+        hasMoreAfter: newer.hasMore,
+        beforeCursor: messages[0]._id,
+        afterCursor: messages[messages.length - 1]._id
+      }
+    };
+  }
+
+  const direction = after ? 'after' : 'before';
+  const cursor = after || before;
+  const position = cursor ? await resolveCursor(cursor, scopes) : null;
+  const { messages, hasMore } = await fetchPage(scopes, position, direction, limit);
+
+  const oldest = messages[0];
+  const newest = messages[messages.length - 1];
+  const edge = direction === 'after' ? newest : oldest;
+
+  return {
+    messages: messages.map((message) => presentMessage(message, viewerId)),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore && edge ? edge._id : null,
+      beforeCursor: oldest ? oldest._id : null,
+      afterCursor: newest ? newest._id : null
+    }
+  };
+};
+
+// Load a message the user is allowed to see: sender, recipient or group member
+const findVisibleMessage = async (messageId, userId) => {
+  const message = await Message.findById(messageId);
+  if (!message || message.deletedFor.includes(userId)) {
+    throw new ServiceError(404, 'Message not found');
+  }
+
+  const isParticipant = message.group
+    ? await Group.exists({ _id: message.group, 'members.user': userId })
+    : [message.sender, message.recipient].some((id) => id.equals(userId));
+
+  if (!isParticipant) {
+    throw new ServiceError(404, 'Message not found');
+  }
+
+  return message;
+};
+
+// Push a change to everyone in the message's conversation, including the
+// acting user's other devices. In a 1:1 chat the sender can be given their
+// own copy, e.g. one without read state the recipient keeps private
+const emitToConversation = (message, event, payload, senderPayload = payload) => {
+  if (message.group) {
+    realtime.emitToGroup(message.group, event, payload);
+    syncService.recordForGroup(message.group, event, payload, contentRefs(message));
+    return;
+  }
+
+  // `sender` may be populated by now
+  const senderId = message.sender._id || message.sender;
+  realtime.emitToUser(senderId, event, senderPayload);
+  realtime.emitToUser(message.recipient, event, payload);
+
+  if (senderPayload === payload) {
+    syncService.recordForUsers([senderId, message.recipient], event, payload, contentRefs(message));
+  } else {
+    syncService.record([
+      { users: [senderId], type: event, data: senderPayload, messages: contentRefs(message) },
+      { users: [message.recipient], type: event, data: payload, messages: contentRefs(message) }
+    ]);
+  }
+};
+
+// Sender-only edit within EDIT_WINDOW_MS; the previous content is kept in editHistory
+const editMessage = async ({ userId, messageId, content }) => {
+  if (!content || !content.trim()) {
+    throw new ServiceError(400, 'Content is required');
+  }
+
+  const message = await findVisibleMessage(messageId, userId);
+
+  if (!message.sender.equals(userId)) {
+    throw new ServiceError(403, 'You can only edit your own messages');
+  }
+
+  if (message.isDeleted) {
+    throw new ServiceError(400, 'Deleted messages cannot be edited');
+  }
+
+  if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MS) {
+    throw new ServiceError(403, 'This message can no longer be edited');
+  }
+
+  message.editHistory.push({
+    content: message.content,
+    editedAt: message.editedAt || message.createdAt
+  });
+  message.content = content.trim();
+  message.isEdited = true;
+  message.editedAt = new Date();
+
+  await message.save();
+  await message.populate(MESSAGE_POPULATE);
+  await conversationSummaryService.messageEdited(message);
+
+  // Only the sender edits, and they only see read state the recipient shares
+  const [senderPayload] = await receiptService.hideOwnReadState([presentMessage(message, userId)], userId);
+  emitToConversation(message, 'message_edited', conversationPayload(message), senderPayload);
+
+  return senderPayload;
+};
+
+// `me` hides the message for this user only; `everyone` (sender only) wipes
+// its content for all participants and leaves a tombstone
+const deleteMessage = async ({ userId, messageId, scope = 'me' }) => {
+  if (!['me', 'everyone'].includes(scope)) {
+    throw new ServiceError(400, 'Invalid scope. Must be me or everyone');
+  }
+
+  const message = await findVisibleMessage(messageId, userId);
+
+  if (scope === 'me') {
+    await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+    if (!message.group) {
+      const peerId = message.sender.equals(userId) ? message.recipient : message.sender;
+      await conversationSummaryService.refresh(userId, peerId);
+    }
+
+    const payload = { messageId: message._id, scope };
+    realtime.emitToUser(userId, 'message_deleted', payload);
+    syncService.recordForUsers([userId], 'message_deleted', payload);
+
+    return message;
+  }
+
+  if (!message.sender.equals(userId)) {
+    throw new ServiceError(403, 'You can only delete your own messages for everyone');
+  }
+
+  const { attachment } = message;
+
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  message.content = '';
+  message.editHistory = [];
+  message.attachment = undefined;
+  message.reactions = [];
+
+  await message.save();
+  await attachmentService.removeStored(attachment);
+  await conversationSummaryService.messageRedacted(message);
+
+  // Quotes of it in replies go too, and so do copies kept for sync
+  await Message.updateMany(
+    { 'replyTo.message': message._id },
+    {
+      $set: { 'replyTo.content': '', 'replyTo.isDeleted': true },
+      $unset: { 'replyTo.attachmentName': '' }
+    }
+  );
+  await syncService.redactMessage(message._id);
+
+  emitToConversation(message, 'message_deleted', {
+    messageId: message._id,
+    groupId: message.group,
+    scope
+  });
+
+  return message;
+};
+
+// Copy a message the user can see into a chat with a friend or a group they
+// belong to, marked as forwarded. Attachments get their own stored copy
+const forwardMessage = async ({ userId, messageId, recipientId, groupId }) => {
+  if (!recipientId === !groupId) {
+    throw new ServiceError(400, 'Either a recipient ID or a group ID is required');
+  }
+
+  const source = await findVisibleMessage(messageId, userId);
+  if (source.isDeleted) {
+    throw new ServiceError(400, 'Deleted messages cannot be forwarded');
+  }
+
+  const attachment = source.attachment
+    ? await attachmentService.copyStored(source.attachment)
+    : undefined;
+
+  const payload = {
+    senderId: userId,
+    content: source.content,
+    messageType: source.messageType,
+    attachment,
+    isForwarded: true
+  };
+
+  try {
+    return groupId
+      ? await sendGroupMessage({ ...payload, groupId })
+      : await sendMessage({ ...payload, recipientId });
+  } catch (error) {
+    await attachmentService.removeStored(attachment);
+    throw error;
+  }
+};
+
+const isEmoji = (value) =>
+  typeof value === 'string' && value.length <= 32 &&
+  EMOJI_PATTERN.test(value) && EMOJI_BASE.test(value) &&
+  [...graphemes.segment(value)].length === 1;
+
+// Everyone in the conversation sees reactions change, with the new totals
+const announceReaction = (message, userId, emoji, action) => {
+  emitToConversation(message, 'message_reaction', {
+    messageId: message._id,
+    groupId: message.group,
+    userId,
+    emoji,
+    action,
+    reactions: Message.summarizeReactions(message.reactions)
+  });
+};
+
+// React with an emoji; each user can use each emoji once per message
+const addReaction = async ({ userId, messageId, emoji }) => {
+  if (!isEmoji(emoji)) {
+    throw new ServiceError(400, 'Reaction must be a single emoji');
+  }
+
+  const message = await findVisibleMessage(messageId, userId);
+  if (message.isDeleted) {
+    throw new ServiceError(400, 'Deleted messages cannot be reacted to');
+  }
+
+  if (!message.group) {
+    const otherUserId = message.sender.equals(userId) ? message.recipient : message.sender;
+    if (await User.isBlockedBetween(userId, otherUserId)) {
+      throw new ServiceError(403, 'You cannot react to this message');
+    }
+  }
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $not: { $elemMatch: { user: userId, emoji } } } },
+    { $push: { reactions: { emoji, user: userId } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ServiceError(409, 'You already reacted with this emoji');
+  }
+
+  announceReaction(updated, userId, emoji, 'added');
+  return Message.summarizeReactions(updated.reactions);
+};
+
+const removeReaction = async ({ userId, messageId, emoji }) => {
+  const message = await findVisibleMessage(messageId, userId);
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $elemMatch: { user: userId, emoji } } },
+    { $pull: { reactions: { user: userId, emoji } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ServiceError(404, 'Reaction not found');
+  }
+
+  announceReaction(updated, userId, emoji, 'removed');
+  return Message.summarizeReactions(updated.reactions);
+};
+
+// Reactions grouped per emoji with counts and who reacted, as the viewer
+// is allowed to see them
+const listReactions = async ({ userId, messageId }) => {
+  const message = await findVisibleMessage(messageId, userId);
+  await message.populate('reactions.user', `username avatar ${privacyService.PRIVACY_FIELDS}`);
+
+  return Message.summarizeReactions(message.reactions.filter((reaction) => reaction.user))
+    .map((entry) => ({
+      ...entry,
+      users: entry.users.map((user) => privacyService.filterProfile(user, userId))
+    }));
+};
+
+module.exports = {
+  findVisibleMessage,
+  sendMessage,
+  sendGroupMessage,
+  forwardMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  listReactions,
+  directScopes,
+  groupScopes,
+  getHistory
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const realtime = require('./realtime');
+const syncService = require('./syncService');
+const conversationSummaryService = require('./conversationSummaryService');
+const conversationService = require('./conversationService');
+const notificationService = require('./notificationService');
+const pushService = require('./pushService');
+const messageService = require('./messageService');
+const { mockQuery, flush } = require('../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('messageService.editMessage', () => {
+  let sender;
+  let recipient;
+  let message;
+  let emitToUser;
+
+  const setup = ({ readReceipts }) => {
+    sender = new User({ _id: id(), username: 'alice', email: 'alice@example.com', password: 'secret1' });
+    recipient = new User({
+      _id: id(),
+      username: 'bob',
+      email: 'bob@example.com',
+      password: 'secret1',
+      privacy: { readReceipts }
+    });
+    message = new Message({
+      sender: sender._id,
+      recipient: recipient._id,
+      content: 'helo',
+      status: 'read',
+      isRead: true,
+      readAt: new Date(),
+      createdAt: new Date()
+    });
+
+    jest.spyOn(Message, 'findById').mockReturnValue(mockQuery(message));
+    jest.spyOn(message, 'save').mockResolvedValue(message);
+    jest.spyOn(message, 'populate').mockImplementation(async () => {
+      message.sender = sender;
+      return message;
+    });
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([recipient]));
+  };
+
+  const edit = () => messageService.editMessage({ userId: sender._id, messageId: message._id, content: 'hello' });
+
+  const emitted = (userId) => emitToUser.mock.calls.find(([to]) => String(to) === String(userId))[2];
+
+  beforeEach(() => {
+    emitToUser = jest.spyOn(realtime, 'emitToUser').mockImplementation(() => {});
+    jest.spyOn(syncService, 'record').mockResolvedValue();
+    jest.spyOn(syncService, 'recordForUsers').mockResolvedValue();
+    jest.spyOn(conversationSummaryService, 'messageEdited').mockResolvedValue();
+  });
+
+  describe('when the recipient keeps read receipts private', () => {
+    beforeEach(() => setup({ readReceipts: false }));
+
+    it('answers the sender with the message as delivered', async () => {
+      const edited = await edit();
+
+      expect(edited).toMatchObject({ content: 'hello', status: 'delivered', isRead: false });
+      expect(edited.readAt).toBeUndefined();
+    });
+
+    it("sends the sender's devices the edit without read state", async () => {
+      await edit();
+
+      expect(emitted(sender._id)).toMatchObject({ status: 'delivered', isRead: false });
+      expect(emitted(recipient._id)).toMatchObject({ status: 'read', isRead: true });
+    });
+
+    it('keeps read state out of the sync copy the sender gets', async () => {
+      await edit();
+
+      const entries = syncService.record.mock.calls[0][0];
+      const forUser = (userId) => entries.find((entry) => String(entry.users) === String(userId));
+      expect(forUser(sender._id)).toMatchObject({
+        type: 'message_edited',
+        data: { status: 'delivered', isRead: false },
+        messages: [message._id]
+      });
+      expect(forUser(recipient._id).data).toMatchObject({ status: 'read', isRead: true });
+    });
+  });
+
+  describe('when the recipient shares read receipts', () => {
+    beforeEach(() => setup({ readReceipts: true }));
+
+    it('shows the sender the message as read', async () => {
+      const edited = await edit();
+
+      expect(edited).toMatchObject({ status: 'read', isRead: true });
+      expect(emitted(sender._id)).toMatchObject({ status: 'read', isRead: true });
+    });
+  });
+});
+
+describe('messageService.sendGroupMessage', () => {
+  let sender;
+  let group;
+  let pushToOfflineUser;
+  const [bob, carol, dave] = [id(), id(), id()];
+
+  const send = (fields) => messageService.sendGroupMessage({ senderId: sender._id, groupId: group._id, ...fields });
+
+  beforeEach(() => {
+    sender = new User({ _id: id(), username: 'alice', email: 'alice@example.com', password: 'secret1' });
+    group = new Group({
+      name: 'Trip',
+      members: [sender._id, bob, carol, dave].map((user) => ({ user }))
+    });
+
+    jest.spyOn(Group, 'findById').mockReturnValue(mockQuery(group));
+    jest.spyOn(Group, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Message.prototype, 'save').mockImplementation(async function () {
+      this.createdAt = new Date();
+      return this;
+    });
+    jest.spyOn(Message.prototype, 'populate').mockImplementation(async function () {
+      this.sender = sender;
+      return this;
+    });
+    jest.spyOn(realtime, 'emitToGroup').mockImplementation(() => {});
+    jest.spyOn(syncService, 'recordForGroup').mockResolvedValue();
+    jest.spyOn(conversationService, 'mutedMemberIds').mockResolvedValue([String(carol)]);
+    jest.spyOn(notificationService, 'notify').mockResolvedValue();
+    pushToOfflineUser = jest.spyOn(pushService, 'pushToOfflineUser').mockResolvedValue(1);
+  });
+
+  it('pushes to members who can be reached, leaving out the sender and muted members', async () => {
+    const find = jest.spyOn(User, 'find').mockReturnValue(mockQuery([{ _id: bob }, { _id: dave }]));
+
+    await send({ content: 'see you at 8' });
+    await flush();
+
+    const filter = find.mock.calls[0][0];
+    expect(filter._id.$in).toEqual(group.members.map((member) => member.user));
+    expect(filter._id.$nin).toEqual([sender._id, String(carol)]);
+    expect(filter.mutedUsers).toEqual({ $ne: sender._id });
+    expect(filter['notificationPreferences.message.push']).toEqual({ $ne: false });
+
+    expect(pushToOfflineUser.mock.calls.map(([userId]) => userId)).toEqual([bob, dave]);
+    expect(pushToOfflineUser.mock.calls[0][1]).toMatchObject({
+      type: 'group_message',
+      title: 'Trip',
+      body: 'alice: see you at 8',
+      data: { groupId: group._id }
+    });
+  });
+
+  it("doesn't push again to members a mention already notified", async () => {
+    const find = jest.spyOn(User, 'find')
+      .mockReturnValueOnce(mockQuery([{ _id: dave }]))
+      .mockReturnValueOnce(mockQuery([{ _id: bob }]));
+
+    await send({ content: 'hey @dave' });
+    await flush();
+
+    expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({ recipientId: dave, type: 'mention' }));
+    expect(find.mock.calls[1][0]._id.$nin).toEqual([sender._id, String(carol), dave]);
+  });
+});
@@ -0,0 +1,131 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const realtime = require('./realtime');
+const pushService = require('./pushService');
+const privacyService = require('./privacyService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ACTOR_FIELDS = `username avatar ${privacyService.PRIVACY_FIELDS}`;
+
+// The actor's profile as the notification's recipient may see it
+const presentNotification = (notification, viewerId) => {
+  const source = typeof notification.toObject === 'function' ? notification.toObject() : notification;
+  return {
+    ...source,
+    actor: notification.actor && privacyService.filterProfile(notification.actor, viewerId)
+  };
+};
+
+const getUnreadCount = (userId) => Notification.countDocuments({ recipient: userId, isRead: false });
+
+// Record and/or push a notification according to the recipient's
+// preferences for its type. Muted actors never trigger a live push
+const notify = async ({ recipientId, type, actorId, data = {} }) => {
+  if (actorId && actorId.toString() === recipientId.toString()) return null;
+
+  const recipient = await User.findById(recipientId).select('notificationPreferences mutedUsers');
+  if (!recipient) return null;
+
+  const preference = recipient.notificationPreferences?.[type] || { store: true, push: true };
+  const isMuted = Boolean(actorId) && recipient.mutedUsers.includes(actorId);
+
+  let notification = null;
+  if (preference.store) {
+    notification = await Notification.create({
+      recipient: recipientId,
+      type,
+      actor: actorId,
+      data
+    });
+    await notification.populate('actor', ACTOR_FIELDS);
+  }
+
+  if (preference.push && !isMuted) {
+    // Not stored means there is nothing to mark read later, but the live
+    // event still goes out with the same shape
+    const payload = notification || {
+      type,
+      actor: actorId ? await User.findById(actorId).select(ACTOR_FIELDS) : null,
+      data,
+      createdAt: new Date()
+    };
+
+    realtime.emitToUser(recipientId, 'notification', {
+      notification: presentNotification(payload, recipientId),
+      unreadCount: await getUnreadCount(recipientId)
+    });
+
+    await pushService.pushToOfflineUser(recipientId, pushService.notificationPayload(payload));
+  }
+
+  return notification;
+};
+
+// Newest first, paged with a `before` notification id
+const listNotifications = async (userId, { before, limit, unreadOnly } = {}) => {
+  limit = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const filter = { recipient: userId };
+  if (unreadOnly) filter.isRead = false;
+  if (before) filter._id = { $lt: before };
+
+  const notifications = await Notification.find(filter)
+    .populate('actor', ACTOR_FIELDS)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = notifications.length > limit;
+  if (hasMore) notifications.pop();
+
+  return {
+    notifications: notifications.map((notification) => presentNotification(notification, userId)),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? notifications[notifications.length - 1]._id : null
+    }
+  };
+};
+
+// Tell the user's other devices so their badges stay in sync
+const emitReadState = async (userId, notificationIds) => {
+  realtime.emitToUser(userId, 'notifications_read', {
+    notificationIds,
+    unreadCount: await getUnreadCount(userId)
+  });
+};
+
+const markRead = async (userId, notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, recipient: userId },
+    { isRead: true, readAt: new Date() },
+    { new: true }
+  );
+
+  if (notification) {
+    await emitReadState(userId, [notification._id]);
+  }
+
+  return notification;
+};
+
+const markAllRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { recipient: userId, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+
+  await emitReadState(userId, 'all');
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  notify,
+  getUnreadCount,
+  listNotifications,
+  markRead,
+  markAllRead
+};
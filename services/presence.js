@@ -0,0 +1,176 @@
+const User = require('../models/User');
+const realtime = require('./realtime');
+const privacyService = require('./privacyService');
+
+// How long a user can go without any socket activity before being marked away
+const AWAY_AFTER_MS = parseInt(process.env.PRESENCE_AWAY_MS) || 5 * 60 * 1000;
+
+// Persist the status and tell the user's friends (and nobody else) about it
+const setStatus = async (userId, status) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { status, lastSeen: new Date() },
+    { new: true }
+  ).select('friends status lastSeen privacy');
+
+  if (!user) return;
+
+  const event = {
+    online: 'user_online',
+    away: 'user_away',
+    offline: 'user_offline'
+  }[status];
+
+  // Privacy settings decide which friends hear about it, and what they get
+  user.friends.forEach((friendId) => {
+    const update = privacyService.presenceFor(user, friendId);
+    if (!update) return;
+
+    if (update.status) realtime.emitToUser(friendId, event, userId);
+    realtime.emitToUser(friendId, 'presence_update', { ...update, userId });
+  });
+};
+
+// Presence for one server node. It tracks the sockets connected here and
+// learns about the rest of the cluster through `store` (see services/cluster).
+// A node writes the status when its own change moves the cluster-wide one;
+// the leader catches anything lost to two nodes changing at once
+const createPresence = (store) => {
+  // userId -> Set of socket ids on this node, one per device/tab
+  const userSockets = new Map();
+
+  // userId -> idle timer that marks this node's sockets idle
+  const idleTimers = new Map();
+
+  // Users whose sockets on this node have all gone quiet
+  const idleUsers = new Set();
+
+  // userId -> last status any node wrote, so repeated activity doesn't hit
+  // the database; offline users are dropped
+  const written = new Map();
+
+  const localState = (userId) => ({
+    sockets: userSockets.get(userId)?.size || 0,
+    idle: idleUsers.has(userId)
+  });
+
+  // Offline with no sockets anywhere; away once every node holding some of
+  // the user's sockets has seen them go idle
+  const clusterStatus = (userId) => {
+    const states = [localState(userId), ...store.remote(userId)].filter((state) => state.sockets > 0);
+    if (states.length === 0) return 'offline';
+    return states.every((state) => state.idle) ? 'away' : 'online';
+  };
+
+  const remember = (userId, status) => {
+    if (status === 'offline') written.delete(userId);
+    else written.set(userId, status);
+  };
+
+  // Apply a local change (if any), share it and write the status if it moved
+  const transition = async (userId, change = () => {}) => {
+    change();
+
+    const status = clusterStatus(userId);
+    const changed = status !== (written.get(userId) || 'offline');
+    if (changed) remember(userId, status);
+
+    store.publish(userId, localState(userId), changed ? status : undefined);
+
+    if (changed) {
+      await setStatus(userId, status);
+    }
+  };
+
+  store.onRemoteChange((userId, status) => {
+    if (status) remember(userId, status);
+    if (!store.isLeader()) return;
+
+    transition(userId).catch((error) => {
+      console.error('Presence reconcile error:', error);
+    });
+  });
+
+  const scheduleAway = (userId) => {
+    clearTimeout(idleTimers.get(userId));
+    idleTimers.set(userId, setTimeout(() => {
+      idleTimers.delete(userId);
+      if (!userSockets.has(userId)) return;
+
+      transition(userId, () => idleUsers.add(userId)).catch((error) => {
+        console.error('Presence away error:', error);
+      });
+    }, AWAY_AFTER_MS));
+  };
+
+  const isOnline = (userId) => clusterStatus(userId.toString()) !== 'offline';
+
+  const getSocketIds = (userId) => [...(userSockets.get(userId.toString()) || [])];
+
+  // Register a socket; the user only comes online with their first one
+  const connect = async (userId, socketId) => {
+    userId = userId.toString();
+    scheduleAway(userId);
+
+    await transition(userId, () => {
+      const sockets = userSockets.get(userId) || new Set();
+      sockets.add(socketId);
+      userSockets.set(userId, sockets);
+      idleUsers.delete(userId);
+    });
+  };
+
+  // Any event from any of the user's sockets counts as activity
+  const touch = async (userId) => {
+    userId = userId.toString();
+    if (!userSockets.has(userId)) return;
+
+    scheduleAway(userId);
+
+    if (idleUsers.has(userId)) {
+      await transition(userId, () => idleUsers.delete(userId));
+    }
+  };
+
+  // Unregister a socket; the user only goes offline when their last one
+  // anywhere in the cluster closes
+  const disconnect = async (userId, socketId) => {
+    userId = userId.toString();
+
+    const sockets = userSockets.get(userId);
+    if (!sockets?.has(socketId)) return;
+
+    if (sockets.size > 1) {
+      sockets.delete(socketId);
+      return;
+    }
+
+    clearTimeout(idleTimers.get(userId));
+    idleTimers.delete(userId);
+
+    await transition(userId, () => {
+      userSockets.delete(userId);
+      idleUsers.delete(userId);
+    });
+  };
+
+  return {
+    isOnline,
+    getSocketIds,
+    connect,
+    touch,
+    disconnect
+  };
+};
+
+// Outside a server node (scripts, jobs) nobody is connected
+const current = () => realtime.currentNode()?.presence;
+
+module.exports = {
+  createPresence,
+  isOnline: (userId) => Boolean(current()?.isOnline(userId)),
+  getSocketIds: (userId) => current()?.getSocketIds(userId) || [],
+  connect: (userId, socketId) => current().connect(userId, socketId),
+  touch: (userId) => current().touch(userId),
+  disconnect: (userId, socketId) => current().disconnect(userId, socketId)
+};
@@ -0,0 +1,112 @@
+const User = require('../models/User');
+
+// Used for users saved before privacy settings existed, or plain objects
+// from aggregates that don't carry them
+const DEFAULTS = {
+  lastSeen: 'everyone',
+  onlineStatus: 'everyone',
+  email: 'friends',
+  bio: 'everyone',
+  avatar: 'everyone',
+  friendRequests: 'everyone',
+  readReceipts: true
+};
+
+const VISIBILITY = ['everyone', 'friends', 'nobody'];
+
+// Accepted values for each setting
+const OPTIONS = {
+  lastSeen: VISIBILITY,
+  onlineStatus: VISIBILITY,
+  email: VISIBILITY,
+  bio: VISIBILITY,
+  avatar: VISIBILITY,
+  friendRequests: ['everyone', 'friends_of_friends', 'nobody'],
+  readReceipts: [true, false]
+};
+
+// Profile fields guarded by a privacy setting of the same name
+// (`status` is guarded by `onlineStatus`)
+const GUARDED_FIELDS = {
+  email: 'email',
+  bio: 'bio',
+  avatar: 'avatar',
+  status: 'onlineStatus',
+  lastSeen: 'lastSeen'
+};
+
+// Fields a privacy-filtered profile needs loaded
+const PRIVACY_FIELDS = 'privacy friends';
+
+const getSetting = (owner, key) => owner.privacy?.[key] ?? DEFAULTS[key];
+
+const isSelf = (owner, viewerId) => owner._id.toString() === viewerId.toString();
+
+const isFriend = (owner, viewerId) => (owner.friends || []).some((id) => id.toString() === viewerId.toString());
+
+// Can `viewerId` see the owner's field guarded by `key`? Without a viewer
+// only fields open to everyone are visible
+const canSee = (owner, viewerId, key) => {
+  if (viewerId && isSelf(owner, viewerId)) return true;
+
+  const level = getSetting(owner, key);
+  if (level === 'everyone') return true;
+  if (level === 'friends') return Boolean(viewerId) && isFriend(owner, viewerId);
+  return false;
+};
+
+// Copy of `owner` with only the fields the viewer may see. Unguarded fields
+// are passed through untouched; `privacy` and `friends` are never exposed.
+// Pass no viewer for payloads that go to many people at once
+const filterProfile = (owner, viewerId) => {
+  const source = typeof owner.toObject === 'function' ? owner.toObject() : { ...owner };
+  const { privacy, friends, ...profile } = source;
+
+  Object.entries(GUARDED_FIELDS).forEach(([field, key]) => {
+    if (field in profile && !canSee(owner, viewerId, key)) {
+      delete profile[field];
+    }
+  });
+
+  return profile;
+};
+
+// Whether the sender is allowed to send the recipient a friend request
+const canSendFriendRequest = async (senderId, recipient) => {
+  const policy = getSetting(recipient, 'friendRequests');
+
+  if (policy === 'everyone') return true;
+  if (policy === 'nobody') return false;
+
+  // friends_of_friends: the two must share at least one friend
+  const mutual = await User.exists({ _id: senderId, friends: { $in: recipient.friends } });
+  return Boolean(mutual);
+};
+
+// The presence_update a viewer is allowed to receive about `owner`, or null
+// when neither status nor last seen is visible to them
+const presenceFor = (owner, viewerId) => {
+  const showStatus = canSee(owner, viewerId, 'onlineStatus');
+  const showLastSeen = canSee(owner, viewerId, 'lastSeen');
+  if (!showStatus && !showLastSeen) return null;
+
+  return {
+    userId: owner._id,
+    ...(showStatus && { status: owner.status }),
+    ...(showLastSeen && { lastSeen: owner.lastSeen })
+  };
+};
+
+const sharesReadReceipts = (user) => getSetting(user, 'readReceipts');
+
+module.exports = {
+  DEFAULTS,
+  OPTIONS,
+  PRIVACY_FIELDS,
+  getSetting,
+  canSee,
+  filterProfile,
+  canSendFriendRequest,
+  presenceFor,
+  sharesReadReceipts
+};
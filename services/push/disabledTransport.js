@@ -0,0 +1,10 @@
+// Stand-in when web push isn't configured: nothing is sent, and
+// pushService doesn't even look up subscriptions
+const createDisabledTransport = () => ({
+  name: 'disabled',
+  disabled: true,
+  publicKey: '',
+  send: async () => ({ statusCode: 503 })
+});
+
+module.exports = createDisabledTransport;
@@ -0,0 +1,30 @@
+// How many pushes `sent` keeps, newest last
+const MAX_SENT = 100;
+
+// In-memory transport for tests and local development. Recent pushes are
+// recorded in `sent`; endpoints added to `deadEndpoints` answer 410 Gone
+// the way an expired browser subscription would
+const createFakeTransport = () => {
+  const sent = [];
+  const deadEndpoints = new Set();
+
+  const send = async (subscription, payload) => {
+    if (deadEndpoints.has(subscription.endpoint)) {
+      return { statusCode: 410 };
+    }
+
+    sent.push({ endpoint: subscription.endpoint, payload, sentAt: new Date() });
+    if (sent.length > MAX_SENT) sent.splice(0, sent.length - MAX_SENT);
+    return { statusCode: 201 };
+  };
+
+  return {
+    name: 'fake',
+    publicKey: process.env.VAPID_PUBLIC_KEY || '',
+    sent,
+    deadEndpoints,
+    send
+  };
+};
+
+module.exports = createFakeTransport;
@@ -0,0 +1,46 @@
+const createWebPushTransport = require('./webPushTransport');
+const createFakeTransport = require('./fakeTransport');
+const createDisabledTransport = require('./disabledTransport');
+
+// Push transports all expose the same interface:
+//   send(subscription, payload) -> Promise<{ statusCode }>
+//   publicKey                   -> VAPID public key handed to clients
+//   disabled                    -> true when pushes are skipped altogether
+// Pick one with PUSH_TRANSPORT. By default it's web push when VAPID keys are
+// set, the fake one under test, and otherwise none, with a warning
+const transports = {
+  webpush: createWebPushTransport,
+  fake: createFakeTransport,
+  disabled: createDisabledTransport
+};
+
+let transport = null;
+
+const defaultTransport = () => {
+  if (process.env.VAPID_PRIVATE_KEY) return 'webpush';
+  if (process.env.NODE_ENV === 'test') return 'fake';
+
+  console.warn('Web push is off: set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY, or PUSH_TRANSPORT=fake for local development');
+  return 'disabled';
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.PUSH_TRANSPORT || defaultTransport();
+    if (!transports[name]) {
+      throw new Error(`Unknown push transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a fresh fake one in tests
+const setTransport = (adapter) => {
+  transport = adapter;
+};
+
+module.exports = {
+  getTransport,
+  setTransport
+};
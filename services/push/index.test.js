@@ -0,0 +1,57 @@
+const createFakeTransport = require('./fakeTransport');
+
+describe('push transports', () => {
+  const env = { ...process.env };
+
+  // A fresh copy of the module, so each test picks its transport anew
+  const loadPush = () => {
+    let push;
+    jest.isolateModules(() => {
+      push = require('.');
+    });
+    return push;
+  };
+
+  beforeEach(() => {
+    delete process.env.PUSH_TRANSPORT;
+    delete process.env.VAPID_PRIVATE_KEY;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('uses the fake transport under test', () => {
+    expect(loadPush().getTransport().name).toBe('fake');
+  });
+
+  it('sends nothing without VAPID keys outside tests, and says so once', () => {
+    process.env.NODE_ENV = 'production';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const push = loadPush();
+
+    expect(push.getTransport()).toMatchObject({ name: 'disabled', disabled: true });
+    push.getTransport();
+
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses the fake transport anywhere when asked for explicitly', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PUSH_TRANSPORT = 'fake';
+
+    expect(loadPush().getTransport().name).toBe('fake');
+  });
+
+  it('keeps only the most recent pushes in the fake transport', async () => {
+    const transport = createFakeTransport();
+
+    for (let i = 0; i < 150; i += 1) {
+      await transport.send({ endpoint: 'https://push.example.com/1' }, { n: i });
+    }
+
+    expect(transport.sent).toHaveLength(100);
+    expect(transport.sent[0].payload).toEqual({ n: 50 });
+    expect(transport.sent[99].payload).toEqual({ n: 149 });
+  });
+});
@@ -0,0 +1,41 @@
+const webPush = require('web-push');
+
+// Real delivery through the browsers' push services, signed with our VAPID keys
+const createWebPushTransport = () => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are required for web push');
+  }
+
+  webPush.setVapidDetails(
+    VAPID_SUBJECT || 'mailto:no-reply@riibah.app',
+    VAPID_PUBLIC_KEY,
+    VAPID_PRIVATE_KEY
+  );
+
+  // Resolves with { statusCode }; push services answer 404/410 for dead subscriptions
+  const send = async (subscription, payload) => {
+    try {
+      const result = await webPush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        JSON.stringify(payload),
+        { TTL: 24 * 60 * 60 }
+      );
+      return { statusCode: result.statusCode };
+    } catch (error) {
+      if (error instanceof webPush.WebPushError) {
+        return { statusCode: error.statusCode };
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'webpush',
+    publicKey: VAPID_PUBLIC_KEY,
+    send
+  };
+};
+
+module.exports = createWebPushTransport;
@@ -0,0 +1,135 @@
+const PushSubscription = require('../models/PushSubscription');
+const ServiceError = require('../utils/ServiceError');
+const presence = require('./presence');
+const { getTransport } = require('./push');
+
+// Push services answer these for subscriptions that will never work again
+const GONE_STATUSES = [404, 410];
+
+const PREVIEW_LENGTH = 100;
+
+// Register (or move to this user/session) a browser's push subscription
+const subscribe = async ({ userId, sessionId, subscription, userAgent }) => {
+  const { endpoint, keys = {} } = subscription || {};
+
+  if (!endpoint || !/^https:\/\//.test(endpoint) || !keys.p256dh || !keys.auth) {
+    throw new ServiceError(400, 'A valid push subscription with endpoint and keys is required');
+  }
+
+  return PushSubscription.findOneAndUpdate(
+    { endpoint },
+    {
+      user: userId,
+      session: sessionId,
+      keys: { p256dh: keys.p256dh, auth: keys.auth },
+      userAgent: userAgent || ''
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const unsubscribe = async (userId, endpoint) => {
+  const result = await PushSubscription.deleteOne({ user: userId, endpoint });
+  return result.deletedCount > 0;
+};
+
+// Push to every registered device of a user who has no socket connected;
+// connected users already got the live socket event. Dead subscriptions
+// are removed as they are discovered
+const pushToOfflineUser = async (userId, payload) => {
+  const transport = getTransport();
+  if (transport.disabled || presence.isOnline(userId)) return 0;
+
+  const subscriptions = await PushSubscription.find({ user: userId });
+  if (subscriptions.length === 0) return 0;
+
+  let delivered = 0;
+
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      const { statusCode } = await transport.send(subscription, payload);
+
+      if (GONE_STATUSES.includes(statusCode)) {
+        await subscription.deleteOne();
+        return;
+      }
+
+      if (statusCode >= 200 && statusCode < 300) {
+        delivered += 1;
+        await PushSubscription.updateOne({ _id: subscription._id }, { lastUsedAt: new Date() });
+      }
+    } catch (error) {
+      console.error('Web push error:', error);
+    }
+  }));
+
+  return delivered;
+};
+
+const describeMessage = (message) => {
+  if (message.messageType === 'image' && !message.content) return '📷 Photo';
+  if (message.messageType === 'file' && !message.content) return `📎 ${message.attachment?.name || 'File'}`;
+  return message.content.slice(0, PREVIEW_LENGTH);
+};
+
+// Payload for a new 1:1 message; `message.sender` must be populated
+const messagePayload = (message) => ({
+  type: 'message',
+  title: message.sender.username,
+  body: describeMessage(message),
+  data: {
+    messageId: message._id,
+    senderId: message.sender._id
+  }
+});
+
+// Payload for a new group message; `message.sender` must be populated
+const groupMessagePayload = (group, message) => ({
+  type: 'group_message',
+  title: group.name,
+  body: `${message.sender.username}: ${describeMessage(message)}`,
+  data: {
+    messageId: message._id,
+    senderId: message.sender._id,
+    groupId: group._id
+  }
+});
+
+const NOTIFICATION_TITLES = {
+  friend_request: 'New friend request',
+  friend_accepted: 'Friend request accepted',
+  mention: 'You were mentioned',
+  group_invite: 'Added to a group'
+};
+
+const NOTIFICATION_BODIES = {
+  friend_request: (actor) => `${actor} sent you a friend request`,
+  friend_accepted: (actor) => `${actor} accepted your friend request`,
+  mention: (actor) => `${actor} mentioned you in a group`,
+  group_invite: (actor) => `${actor} added you to a group`
+};
+
+// Payload for a notification; `notification.actor` must be populated
+const notificationPayload = (notification) => {
+  const actor = notification.actor?.username || 'Someone';
+  const { data = {} } = typeof notification.toObject === 'function' ? notification.toObject() : notification;
+
+  return {
+    type: notification.type,
+    title: NOTIFICATION_TITLES[notification.type],
+    body: NOTIFICATION_BODIES[notification.type](actor),
+    data: {
+      notificationId: notification._id,
+      ...data
+    }
+  };
+};
+
+module.exports = {
+  subscribe,
+  unsubscribe,
+  pushToOfflineUser,
+  messagePayload,
+  groupMessagePayload,
+  notificationPayload
+};
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const PushSubscription = require('../models/PushSubscription');
+const push = require('./push');
+const createFakeTransport = require('./push/fakeTransport');
+const createDisabledTransport = require('./push/disabledTransport');
+const pushService = require('./pushService');
+const { mockQuery } = require('../test/helpers');
+
+describe('pushService.pushToOfflineUser', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const payload = { type: 'message', title: 'alice', body: 'hi' };
+
+  afterAll(() => push.setTransport(null));
+
+  it('skips the lookup altogether when push is off', async () => {
+    push.setTransport(createDisabledTransport());
+    const find = jest.spyOn(PushSubscription, 'find');
+
+    await expect(pushService.pushToOfflineUser(userId, payload)).resolves.toBe(0);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('pushes to every device and drops subscriptions that are gone', async () => {
+    const transport = createFakeTransport();
+    push.setTransport(transport);
+    const live = { _id: new mongoose.Types.ObjectId(), endpoint: 'https://push.example.com/live' };
+    const dead = { endpoint: 'https://push.example.com/dead', deleteOne: jest.fn().mockResolvedValue({}) };
+    transport.deadEndpoints.add(dead.endpoint);
+    jest.spyOn(PushSubscription, 'find').mockReturnValue(mockQuery([live, dead]));
+    jest.spyOn(PushSubscription, 'updateOne').mockResolvedValue({});
+
+    await expect(pushService.pushToOfflineUser(userId, payload)).resolves.toBe(1);
+    expect(transport.sent.map((sent) => sent.endpoint)).toEqual([live.endpoint]);
+    expect(dead.deleteOne).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+const createMemoryStore = require('./memoryStore');
+
+// Rate limit stores all expose the same async interface:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   get(key)                 -> Promise<{ count, resetAt } | null>
+//   set(key, count, ttlMs)   -> Promise<void>
+//   reset(key)               -> Promise<void>
+// Register new backends here and pick one with RATE_LIMIT_STORE.
+const stores = {
+  memory: createMemoryStore
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    store = stores[name]();
+  }
+  return store;
+};
+
+// Swap the store, e.g. for a shared backend or a fresh one in tests
+const setStore = (adapter) => {
+  store = adapter;
+};
+
+// Count one hit against a quota ({ max, windowMs }) and report whether it is allowed
+const hit = async (key, { max, windowMs }) => {
+  const { count, resetAt } = await getStore().increment(key, windowMs);
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(max - count, 0),
+    resetAt,
+    retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)
+  };
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  hit
+};
@@ -0,0 +1,43 @@
+const { getStore } = require('./index');
+const { loginLockout } = require('../../config/rateLimits');
+
+const failuresKey = (account) => `login-failures:${account}`;
+const lockKey = (account) => `login-lock:${account}`;
+
+// Login looks the account up by the exact username or email given, and
+// usernames differing only in case are different accounts, so the key is
+// the identifier as typed
+const accountKey = (account) => account.toString();
+
+// Seconds until the account may try again, or 0 if it isn't locked
+const getLockout = async (account) => {
+  const lock = await getStore().get(lockKey(accountKey(account)));
+  return lock ? Math.max(Math.ceil((lock.resetAt - Date.now()) / 1000), 1) : 0;
+};
+
+// Record a failed login; past the threshold each failure locks the account
+// for twice as long as the last, up to maxLockMs
+const recordFailure = async (account) => {
+  const key = accountKey(account);
+  const { threshold, windowMs, baseLockMs, maxLockMs } = loginLockout;
+
+  const { count } = await getStore().increment(failuresKey(key), windowMs);
+  if (count < threshold) return 0;
+
+  const lockMs = Math.min(baseLockMs * 2 ** (count - threshold), maxLockMs);
+  await getStore().set(lockKey(key), count, lockMs);
+
+  return Math.ceil(lockMs / 1000);
+};
+
+const recordSuccess = async (account) => {
+  const key = accountKey(account);
+  await getStore().reset(failuresKey(key));
+  await getStore().reset(lockKey(key));
+};
+
+module.exports = {
+  getLockout,
+  recordFailure,
+  recordSuccess
+};
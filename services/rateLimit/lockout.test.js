@@ -0,0 +1,35 @@
+const lockout = require('./lockout');
+const { loginLockout } = require('../../config/rateLimits');
+
+describe('login lockout', () => {
+  const failTimes = async (account, times) => {
+    for (let i = 0; i < times; i += 1) {
+      await lockout.recordFailure(account);
+    }
+  };
+
+  it('locks an account once failures reach the threshold', async () => {
+    await failTimes('carol', loginLockout.threshold - 1);
+    expect(await lockout.getLockout('carol')).toBe(0);
+
+    await lockout.recordFailure('carol');
+    expect(await lockout.getLockout('carol')).toBe(Math.ceil(loginLockout.baseLockMs / 1000));
+  });
+
+  it('keys accounts the way login finds them, so usernames differing in case are separate', async () => {
+    await failTimes('Dave', loginLockout.threshold);
+
+    expect(await lockout.getLockout('Dave')).toBeGreaterThan(0);
+    expect(await lockout.getLockout('dave')).toBe(0);
+  });
+
+  it('clears failures and the lock after a successful login', async () => {
+    await failTimes('erin', loginLockout.threshold);
+
+    await lockout.recordSuccess('erin');
+
+    expect(await lockout.getLockout('erin')).toBe(0);
+    await lockout.recordFailure('erin');
+    expect(await lockout.getLockout('erin')).toBe(0);
+  });
+});
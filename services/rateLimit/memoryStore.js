@@ -0,0 +1,54 @@
+// Single-process store: counters live in a Map and vanish on restart.
+// Fine for one instance; use a shared store once there are several
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Fixed window counter: the window starts with the first hit
+  const increment = async (key, windowMs) => {
+    const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+    entry.count += 1;
+    entries.set(key, entry);
+    return { ...entry };
+  };
+
+  const get = async (key) => {
+    const entry = live(key);
+    return entry ? { ...entry } : null;
+  };
+
+  const set = async (key, count, ttlMs) => {
+    entries.set(key, { count, resetAt: Date.now() + ttlMs });
+  };
+
+  const reset = async (key) => {
+    entries.delete(key);
+  };
+
+  // Sweep expired keys so idle clients don't accumulate forever
+  const timer = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) entries.delete(key);
+    });
+  }, cleanupIntervalMs);
+  timer.unref();
+
+  return {
+    name: 'memory',
+    increment,
+    get,
+    set,
+    reset
+  };
+};
+
+module.exports = createMemoryStore;
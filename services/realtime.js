@@ -0,0 +1,100 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Routes and services push events through the server node handling the
+// current request or socket event, without importing server.js. A process
+// normally runs one node; tests can start several side by side
+const nodeContext = new AsyncLocalStorage();
+const nodes = [];
+
+// The first node registered also serves code running outside any request,
+// such as timers started at boot
+const registerNode = (node) => {
+  nodes.push(node);
+};
+
+const unregisterNode = (node) => {
+  const index = nodes.indexOf(node);
+  if (index !== -1) nodes.splice(index, 1);
+};
+
+const runInNode = (node, fn) => nodeContext.run(node, fn);
+
+const currentNode = () => nodeContext.getStore() || nodes[0] || null;
+
+const getIo = () => currentNode()?.io || null;
+
+// Every socket a user opens joins their personal room, so emitting to it
+// reaches all of their connected devices
+const userRoom = (userId) => `user:${userId}`;
+
+// Sockets opened with the same login session, so revoking it can drop them
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// How long to wait for clients to acknowledge an event
+const ACK_TIMEOUT_MS = parseInt(process.env.SOCKET_ACK_TIMEOUT_MS) || 10 * 1000;
+
+// Members of a group share a room so group messages are a single emit
+const groupRoom = (groupId) => `group:${groupId}`;
+
+// Extra arguments are passed through as additional event arguments
+const emitToUser = (userId, event, ...args) => {
+  const io = getIo();
+  if (!io) return;
+  io.to(userRoom(userId.toString())).emit(event, ...args);
+};
+
+// Emit to all of a user's devices and resolve with the acks that came back
+// within the timeout (an empty array if none of them are connected)
+const emitToUserWithAck = (userId, event, ...args) => new Promise((resolve) => {
+  const io = getIo();
+  if (!io) return resolve([]);
+
+  io.to(userRoom(userId.toString()))
+    .timeout(ACK_TIMEOUT_MS)
+    .emit(event, ...args, (error, responses) => resolve(responses || []));
+});
+
+const emitToGroup = (groupId, event, payload) => {
+  const io = getIo();
+  if (!io) return;
+  io.to(groupRoom(groupId.toString())).emit(event, payload);
+};
+
+// Move all of a user's connected sockets in or out of a room, e.g. when they
+// are added to or removed from a group
+const joinUserToRoom = (userId, room) => {
+  const io = getIo();
+  if (!io) return;
+  io.in(userRoom(userId.toString())).socketsJoin(room);
+};
+
+const removeUserFromRoom = (userId, room) => {
+  const io = getIo();
+  if (!io) return;
+  io.in(userRoom(userId.toString())).socketsLeave(room);
+};
+
+// Tell and then disconnect every socket belonging to a revoked session
+const disconnectSession = (sessionId, reason) => {
+  const io = getIo();
+  if (!io) return;
+  const room = sessionRoom(sessionId.toString());
+  io.to(room).emit('session_revoked', { reason });
+  io.in(room).disconnectSockets(true);
+};
+
+module.exports = {
+  registerNode,
+  unregisterNode,
+  runInNode,
+  currentNode,
+  userRoom,
+  sessionRoom,
+  groupRoom,
+  emitToUser,
+  emitToUserWithAck,
+  emitToGroup,
+  joinUserToRoom,
+  removeUserFromRoom,
+  disconnectSession
+};
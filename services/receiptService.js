@@ -0,0 +1,161 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const realtime = require('./realtime');
+const privacyService = require('./privacyService');
+const syncService = require('./syncService');
+const conversationService = require('./conversationService');
+const conversationSummaryService = require('./conversationSummaryService');
+
+// Group message ids by sender so each sender gets one receipt event
+const groupBySender = (messages) => {
+  const bySender = new Map();
+  messages.forEach((message) => {
+    const senderId = message.sender.toString();
+    bySender.set(senderId, [...(bySender.get(senderId) || []), message._id]);
+  });
+  return bySender;
+};
+
+// Move 1:1 messages addressed to the recipient from `sent` to `delivered`
+// and tell their senders
+const markDelivered = async (recipientId, messageIds) => {
+  if (!Array.isArray(messageIds) || messageIds.length === 0) return [];
+
+  const messages = await Message.find({
+    _id: { $in: messageIds },
+    recipient: recipientId,
+    status: 'sent'
+  }).select('sender');
+  if (messages.length === 0) return [];
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: messages.map((message) => message._id) }, status: 'sent' },
+    { status: 'delivered', deliveredAt }
+  );
+
+  const receipts = [...groupBySender(messages)].map(([senderId, ids]) => {
+    const receipt = { messageIds: ids, recipientId, deliveredAt };
+    realtime.emitToUser(senderId, 'messages_delivered', receipt);
+    return { users: [senderId], type: 'messages_delivered', data: receipt };
+  });
+  syncService.record(receipts);
+
+  return messages.map((message) => message._id);
+};
+
+// Mark unread messages matching `filter` as read, then sync the reader's
+// other devices and, unless the reader turned read receipts off, tell the sender
+const markRead = async (readerId, filter) => {
+  const messages = await Message.find({
+    ...filter,
+    recipient: readerId,
+    isRead: false
+  }).select('sender');
+  if (messages.length === 0) return [];
+
+  const readAt = new Date();
+  const ids = messages.map((message) => message._id);
+
+  // Reading implies delivery, so fill in deliveredAt where it was never set
+  await Message.updateMany({ _id: { $in: ids } }, [{
+    $set: {
+      isRead: true,
+      readAt,
+      status: 'read',
+      deliveredAt: { $ifNull: ['$deliveredAt', readAt] }
+    }
+  }]);
+
+  const bySender = groupBySender(messages);
+  await conversationSummaryService.messagesRead(readerId, [...bySender.keys()]);
+
+  const reader = await User.findById(readerId).select('privacy');
+  const sharesReceipts = Boolean(reader) && privacyService.sharesReadReceipts(reader);
+
+  const receipts = [...bySender].map(([senderId, messageIds]) => {
+    const receipt = { messageIds, readerId, readAt };
+    if (sharesReceipts) realtime.emitToUser(senderId, 'messages_read', receipt);
+    realtime.emitToUser(readerId, 'messages_read', receipt);
+    return { users: sharesReceipts ? [senderId, readerId] : [readerId], type: 'messages_read', data: receipt };
+  });
+  syncService.record(receipts);
+
+  return ids;
+};
+
+// "Read up to message X": everything the other user sent up to and including
+// X. Without a message id the whole conversation is marked read, and any
+// "mark as unread" on it is cleared
+const markConversationRead = async (readerId, otherUserId, upToMessageId) => {
+  const filter = { sender: otherUserId };
+
+  if (upToMessageId) {
+    const upTo = await Message.findOne({
+      _id: upToMessageId,
+      $or: [
+        { sender: otherUserId, recipient: readerId },
+        { sender: readerId, recipient: otherUserId }
+      ]
+    }).select('createdAt');
+
+    if (!upTo) {
+      throw new ServiceError(404, 'Message not found in this conversation');
+    }
+    filter.createdAt = { $lte: upTo.createdAt };
+  } else {
+    await conversationService.clearUnreadMarker(readerId, { type: 'user', id: otherUserId });
+  }
+
+  return markRead(readerId, filter);
+};
+
+const markMessageRead = (readerId, messageId) => markRead(readerId, { _id: messageId });
+
+// Messages the viewer sent to someone who doesn't share read receipts are
+// shown as delivered at most. Works on the loaded documents only, nothing is saved
+const hideReadState = (messages, viewerId, otherUser) => {
+  if (privacyService.sharesReadReceipts(otherUser)) return messages;
+
+  messages.forEach((message) => {
+    const senderId = message.sender._id || message.sender;
+    if (!senderId.equals(viewerId) || !message.isRead) return;
+
+    message.status = 'delivered';
+    message.isRead = false;
+    message.readAt = undefined;
+  });
+
+  return messages;
+};
+
+// hideReadState for the viewer's own 1:1 messages in any number of chats,
+// e.g. search results or an edit echoed back to the sender
+const hideOwnReadState = async (messages, viewerId) => {
+  const own = messages.filter((message) => {
+    const senderId = message.sender?._id || message.sender;
+    return !message.group && message.isRead && Boolean(senderId) && senderId.equals(viewerId);
+  });
+  if (own.length === 0) return messages;
+
+  const recipients = await User.find({
+    _id: { $in: [...new Set(own.map((message) => message.recipient.toString()))] }
+  }).select('privacy');
+  const byId = new Map(recipients.map((recipient) => [recipient._id.toString(), recipient]));
+
+  own.forEach((message) => {
+    const recipient = byId.get(message.recipient.toString());
+    if (recipient) hideReadState([message], viewerId, recipient);
+  });
+
+  return messages;
+};
+
+module.exports = {
+  markDelivered,
+  markConversationRead,
+  markMessageRead,
+  hideReadState,
+  hideOwnReadState
+};
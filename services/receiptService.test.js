@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const realtime = require('./realtime');
+const syncService = require('./syncService');
+const conversationSummaryService = require('./conversationSummaryService');
+const receiptService = require('./receiptService');
+const { mockQuery } = require('../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('receiptService', () => {
+  let emitToUser;
+  let record;
+
+  beforeEach(() => {
+    emitToUser = jest.spyOn(realtime, 'emitToUser').mockImplementation(() => {});
+    record = jest.spyOn(syncService, 'record').mockResolvedValue();
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({});
+    jest.spyOn(conversationSummaryService, 'messagesRead').mockResolvedValue();
+  });
+
+  describe('markDelivered', () => {
+    it('ignores an empty list without touching the database', async () => {
+      const find = jest.spyOn(Message, 'find');
+
+      await expect(receiptService.markDelivered(id(), [])).resolves.toEqual([]);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('sends one receipt per sender and only moves messages still at sent', async () => {
+      const recipientId = id();
+      const [alice, bob] = [id(), id()];
+      const messages = [
+        { _id: id(), sender: alice },
+        { _id: id(), sender: bob },
+        { _id: id(), sender: alice }
+      ];
+      jest.spyOn(Message, 'find').mockReturnValue(mockQuery(messages));
+
+      const delivered = await receiptService.markDelivered(recipientId, messages.map((m) => m._id));
+
+      expect(delivered).toEqual(messages.map((m) => m._id));
+      expect(Message.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'sent' }),
+        expect.objectContaining({ status: 'delivered' })
+      );
+      expect(emitToUser).toHaveBeenCalledTimes(2);
+      expect(emitToUser).toHaveBeenCalledWith(String(alice), 'messages_delivered', expect.objectContaining({
+        messageIds: [messages[0]._id, messages[2]._id],
+        recipientId
+      }));
+      expect(record.mock.calls[0][0]).toHaveLength(2);
+    });
+  });
+
+  describe('markMessageRead', () => {
+    const setup = (privacy) => {
+      const readerId = id();
+      const senderId = id();
+      const message = { _id: id(), sender: senderId };
+      jest.spyOn(Message, 'find').mockReturnValue(mockQuery([message]));
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ _id: readerId, privacy }));
+      return { readerId, senderId, message };
+    };
+
+    it('tells the sender and the reader when receipts are shared', async () => {
+      const { readerId, senderId, message } = setup({ readReceipts: true });
+
+      await expect(receiptService.markMessageRead(readerId, message._id)).resolves.toEqual([message._id]);
+
+      expect(conversationSummaryService.messagesRead).toHaveBeenCalledWith(readerId, [String(senderId)]);
+      expect(emitToUser.mock.calls.map(([userId]) => String(userId))).toEqual([String(senderId), String(readerId)]);
+      expect(record.mock.calls[0][0][0].users).toEqual([String(senderId), readerId]);
+    });
+
+    it('keeps the receipt to the reader when read receipts are off', async () => {
+      const { readerId, message } = setup({ readReceipts: false });
+
+      await receiptService.markMessageRead(readerId, message._id);
+
+      expect(emitToUser).toHaveBeenCalledTimes(1);
+      expect(emitToUser).toHaveBeenCalledWith(readerId, 'messages_read', expect.any(Object));
+      expect(record.mock.calls[0][0][0].users).toEqual([readerId]);
+    });
+  });
+
+  describe('hideReadState', () => {
+    it('shows read messages to their sender as delivered when the other user hides receipts', () => {
+      const viewerId = id();
+      const other = { _id: id(), privacy: { readReceipts: false } };
+      const sent = { sender: viewerId, isRead: true, status: 'read', readAt: new Date() };
+      const received = { sender: { _id: other._id }, isRead: true, status: 'read', readAt: new Date() };
+
+      receiptService.hideReadState([sent, received], viewerId, other);
+
+      expect(sent).toMatchObject({ status: 'delivered', isRead: false, readAt: undefined });
+      expect(received).toMatchObject({ status: 'read', isRead: true });
+    });
+
+    it('leaves messages alone when the other user shares receipts', () => {
+      const viewerId = id();
+      const sent = { sender: viewerId, isRead: true, status: 'read' };
+
+      receiptService.hideReadState([sent], viewerId, { privacy: { readReceipts: true } });
+
+      expect(sent).toMatchObject({ status: 'read', isRead: true });
+    });
+  });
+
+  describe('hideOwnReadState', () => {
+    it("looks up each recipient's setting once and leaves group messages alone", async () => {
+      const viewerId = id();
+      const [quiet, open] = [
+        { _id: id(), privacy: { readReceipts: false } },
+        { _id: id(), privacy: { readReceipts: true } }
+      ];
+      const find = jest.spyOn(User, 'find').mockReturnValue(mockQuery([quiet, open]));
+      const toQuiet = [1, 2].map(() => ({ sender: viewerId, recipient: quiet._id, isRead: true, status: 'read' }));
+      const toOpen = { sender: viewerId, recipient: open._id, isRead: true, status: 'read' };
+      const inGroup = { sender: viewerId, group: id(), isRead: true, status: 'read' };
+
+      await receiptService.hideOwnReadState([...toQuiet, toOpen, inGroup], viewerId);
+
+      expect(find).toHaveBeenCalledTimes(1);
+      expect(find.mock.calls[0][0]._id.$in).toEqual([String(quiet._id), String(open._id)]);
+      toQuiet.forEach((message) => expect(message).toMatchObject({ status: 'delivered', isRead: false }));
+      expect(toOpen).toMatchObject({ status: 'read', isRead: true });
+      expect(inGroup).toMatchObject({ status: 'read', isRead: true });
+    });
+
+    it('skips the lookup when none of the messages are read', async () => {
+      const find = jest.spyOn(User, 'find');
+
+      await receiptService.hideOwnReadState([{ sender: id(), recipient: id(), isRead: false }], id());
+
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
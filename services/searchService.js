@@ -0,0 +1,162 @@
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const ServiceError = require('../utils/ServiceError');
+const privacyService = require('./privacyService');
+const receiptService = require('./receiptService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Characters of context kept on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+const MESSAGE_TYPES = ['text', 'image', 'file'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and "quoted phrases" from the query, as matched by $text
+const extractTerms = (query) => {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+  const words = query.replace(/"[^"]*"/g, ' ').split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'));
+
+  return [...phrases, ...words].map((term) => term.toLowerCase());
+};
+
+// Cut a window of text around the first match and report where each match
+// sits inside it, so clients can highlight without trusting HTML from us
+const buildSnippet = (content, terms) => {
+  if (!content || terms.length === 0) {
+    return { snippet: content || '', highlights: [] };
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const first = pattern.exec(content);
+  pattern.lastIndex = 0;
+
+  const start = first ? Math.max(first.index - SNIPPET_CONTEXT, 0) : 0;
+  const end = Math.min((first ? first.index + first[0].length : 0) + SNIPPET_CONTEXT, content.length);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+
+  const highlights = [];
+  let match;
+  const window = content.slice(start, end);
+  while ((match = pattern.exec(window)) !== null) {
+    highlights.push([match.index + prefix.length, match.index + prefix.length + match[0].length]);
+  }
+
+  return { snippet, highlights };
+};
+
+// Where a hit lives, and the history request that opens it in context
+const describeConversation = (message, userId) => {
+  if (message.group) {
+    return {
+      conversation: { type: 'group', groupId: message.group },
+      contextUrl: `/api/groups/${message.group}/messages?around=${message._id}`
+    };
+  }
+
+  const senderId = message.sender._id || message.sender;
+  const otherUserId = senderId.equals(userId) ? message.recipient : senderId;
+  return {
+    conversation: { type: 'direct', userId: otherUserId },
+    contextUrl: `/api/messages/conversation/${otherUserId}?around=${message._id}`
+  };
+};
+
+// Full-text search over messages in conversations the user takes part in.
+// Results are ranked by relevance, so pages are numbered rather than cursored
+const searchMessages = async (userId, { q, withUserId, groupId, senderId, from, to, messageType, page, limit }) => {
+  const query = (q || '').trim();
+  if (query.length < 2) {
+    throw new ServiceError(400, 'Search query must be at least 2 characters long');
+  }
+
+  if (messageType && !MESSAGE_TYPES.includes(messageType)) {
+    throw new ServiceError(400, 'Invalid message type');
+  }
+
+  page = Math.max(parseInt(page) || 1, 1);
+  limit = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  // Conversations the user can see: their 1:1 chats plus groups they belong to
+  let scopes;
+  if (withUserId) {
+    scopes = [
+      { sender: userId, recipient: withUserId },
+      { sender: withUserId, recipient: userId }
+    ];
+  } else if (groupId) {
+    const isMember = await Group.exists({ _id: groupId, 'members.user': userId });
+    if (!isMember) {
+      throw new ServiceError(404, 'Group not found');
+    }
+    scopes = [{ group: groupId }];
+  } else {
+    const groupIds = await Group.find({ 'members.user': userId }).distinct('_id');
+    scopes = [
+      { sender: userId, group: null },
+      { recipient: userId },
+      { group: { $in: groupIds } }
+    ];
+  }
+
+  const filter = {
+    $text: { $search: query },
+    $or: scopes,
+    isDeleted: { $ne: true },
+    deletedFor: { $ne: userId }
+  };
+
+  if (senderId) filter.sender = senderId;
+  if (messageType) filter.messageType = messageType;
+
+  if (from || to) {
+    filter.createdAt = {};
+    for (const [key, op] of [[from, '$gte'], [to, '$lte']]) {
+      if (!key) continue;
+      const date = new Date(key);
+      if (isNaN(date.getTime())) {
+        throw new ServiceError(400, 'from and to must be valid dates');
+      }
+      filter.createdAt[op] = date;
+    }
+  }
+
+  const [messages, total] = await Promise.all([
+    Message.find(filter, { score: { $meta: 'textScore' } })
+      .populate('sender', `username avatar ${privacyService.PRIVACY_FIELDS}`)
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Message.countDocuments(filter)
+  ]);
+
+  const terms = extractTerms(query);
+
+  // Read state of the user's own messages only as far as recipients share it
+  const presented = await receiptService.hideOwnReadState(messages.map((message) => ({
+    ...message.toJSON(),
+    sender: message.sender && privacyService.filterProfile(message.sender, userId)
+  })), userId);
+
+  return {
+    results: messages.map((message, index) => ({
+      message: presented[index],
+      ...buildSnippet(message.content, terms),
+      ...describeConversation(message, userId)
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      hasMore: page * limit < total
+    }
+  };
+};
+
+module.exports = {
+  searchMessages
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const searchService = require('./searchService');
+const { mockQuery } = require('../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('searchService.searchMessages', () => {
+  let alice;
+  let bob;
+
+  const message = (sender, recipient) => {
+    const doc = new Message({
+      sender: sender._id,
+      recipient: recipient._id,
+      content: 'lunch tomorrow?',
+      status: 'read',
+      isRead: true,
+      readAt: new Date()
+    });
+    doc.sender = sender;
+    return doc;
+  };
+
+  const search = () => searchService.searchMessages(alice._id, { q: 'lunch', withUserId: bob._id });
+
+  beforeEach(() => {
+    alice = new User({ _id: id(), username: 'alice', email: 'alice@example.com', password: 'secret1' });
+    bob = new User({
+      _id: id(),
+      username: 'bob',
+      email: 'bob@example.com',
+      password: 'secret1',
+      privacy: { readReceipts: false }
+    });
+
+    jest.spyOn(Message, 'find').mockReturnValue(mockQuery([message(alice, bob), message(bob, alice)]));
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([bob]));
+  });
+
+  it("hides whether the recipient read the user's own messages when they keep receipts private", async () => {
+    const { results } = await search();
+
+    expect(results[0].message).toMatchObject({ status: 'delivered', isRead: false });
+    expect(results[0].message.readAt).toBeUndefined();
+    // The user's own reads are theirs to see
+    expect(results[1].message).toMatchObject({ status: 'read', isRead: true });
+  });
+
+  it('shows read state when the recipient shares receipts', async () => {
+    bob.privacy.readReceipts = true;
+
+    const { results } = await search();
+
+    expect(results[0].message).toMatchObject({ status: 'read', isRead: true });
+  });
+
+  it('still gives the sender only the profile fields they may see', async () => {
+    bob.privacy.email = 'nobody';
+
+    const { results } = await search();
+
+    expect(results[1].message.sender.username).toBe('bob');
+    expect(results[1].message.sender).not.toHaveProperty('email');
+    expect(results[1].message.sender).not.toHaveProperty('privacy');
+  });
+});
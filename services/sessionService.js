@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const realtime = require('./realtime');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Spent refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Device details recorded with the session so users can tell them apart
+const describeDevice = (req) => ({
+  deviceName: (req.body?.deviceName || '').toString().slice(0, 100),
+  userAgent: req.get('user-agent') || '',
+  ip: req.ip || ''
+});
+
+const tokenPair = (userId, session, refreshToken) => ({
+  token: generateAccessToken(userId, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+// Start a new session (token family) for a freshly authenticated user
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...describeDevice(req)
+  });
+
+  return tokenPair(userId, session, refreshToken);
+};
+
+// Revoke a session, drop any sockets opened with it and stop its pushes
+const revokeSession = async (sessionId, reason = 'revoked') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  await PushSubscription.deleteMany({ session: sessionId });
+
+  realtime.disconnectSession(sessionId, reason);
+};
+
+// Revoke one session on behalf of its owner; false if it isn't theirs or already revoked
+const revokeUserSession = async (userId, sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+  if (!session) return false;
+
+  await revokeSession(session._id, 'revoked');
+  return true;
+};
+
+// Revoke every active session of a user, optionally keeping one (the caller's)
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'revoked' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(filter).select('_id');
+  await Promise.all(sessions.map((session) => revokeSession(session._id, reason)));
+
+  return sessions.length;
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated out means it leaked, so the whole session is revoked
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw new ServiceError(400, 'Refresh token is required');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}`);
+      await revokeSession(reused._id, 'reuse_detected');
+    }
+    throw new ServiceError(401, 'Refresh token is not valid');
+  }
+
+  if (!session.isActive()) {
+    throw new ServiceError(401, 'Session has expired or been revoked');
+  }
+
+  const nextToken = generateRefreshToken();
+  const { deviceName, ...device } = describeDevice(req);
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...device
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new ServiceError(401, 'Refresh token is not valid');
+  }
+
+  return tokenPair(session.user, rotated, nextToken);
+};
+
+// Verify an access token and its session; shared by the REST and socket middleware
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sessionId) {
+    throw new ServiceError(401, 'Token is not valid');
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+    throw new ServiceError(401, 'Session has expired or been revoked');
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    throw new ServiceError(401, 'Token is not valid');
+  }
+
+  return { user, session, decoded };
+};
+
+const listSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  .select('deviceName userAgent ip createdAt lastUsedAt expiresAt')
+  .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions,
+  listSessions
+};
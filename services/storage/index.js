@@ -0,0 +1,34 @@
+const createLocalStorage = require('./localStorage');
+
+// Storage adapters all expose the same interface:
+//   save(key, buffer, contentType) -> Promise<{ key, size }>
+//   exists(key)                    -> Promise<boolean>
+//   createReadStream(key)          -> Readable
+//   remove(key)                    -> Promise<void>
+// Register new backends here and pick one with STORAGE_DRIVER.
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+// Swap the backend, e.g. for a different driver instance in tests
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
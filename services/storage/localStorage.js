@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development storage backend: files live under UPLOAD_DIR on local disk
+const createLocalStorage = ({ root = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads') } = {}) => {
+  // Keys are generated server-side, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const save = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, size: buffer.length };
+  };
+
+  const exists = async (key) => {
+    try {
+      await fs.promises.access(resolveKey(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const createReadStream = (key) => fs.createReadStream(resolveKey(key));
+
+  const remove = async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  };
+
+  return {
+    name: 'local',
+    save,
+    exists,
+    createReadStream,
+    remove
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,151 @@
+const Counter = require('../models/Counter');
+const SyncEvent = require('../models/SyncEvent');
+const Group = require('../models/Group');
+const ServiceError = require('../utils/ServiceError');
+
+const SEQUENCE = 'sync';
+
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 500;
+
+// Sequence numbers are reserved before their events are written, so the
+// newest events are held back this long in case an earlier one is still
+// being written. Socket clients got them live already
+const SETTLE_MS = parseInt(process.env.SYNC_SETTLE_MS) || 5000;
+
+// Keep the payload as clients got it over the socket, not as live documents
+const toPayload = (data) => JSON.parse(JSON.stringify(data ?? null));
+
+// Store changes for clients that weren't connected. Each entry is
+// { users } or { group }, plus the socket `type` and `data`, and the ids of
+// `messages` whose content the data carries. The change has already
+// happened by now, so failures are logged rather than thrown
+const record = async (entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    const last = await Counter.next(SEQUENCE, entries.length);
+    const first = last - entries.length + 1;
+
+    await SyncEvent.insertMany(entries.map((entry, index) => ({
+      seq: first + index,
+      users: entry.users,
+      group: entry.group,
+      type: entry.type,
+      data: toPayload(entry.data),
+      messages: entry.messages
+    })));
+  } catch (error) {
+    console.error('Sync record error:', error);
+  }
+};
+
+const recordForUsers = (userIds, type, data, messages) => record([{ users: userIds, type, data, messages }]);
+
+const recordForGroup = (groupId, type, data, messages) => record([{ group: groupId, type, data, messages }]);
+
+// A message deleted for everyone leaves no content behind in stored events:
+// copies of it become tombstones and quotes of it in replies are emptied
+const redactMessage = async (messageId) => {
+  const id = String(messageId);
+
+  await Promise.all([
+    SyncEvent.updateMany(
+      { messages: messageId, 'data._id': id },
+      {
+        $set: { 'data.content': '', 'data.editHistory': [], 'data.reactions': [], 'data.isDeleted': true },
+        $unset: { 'data.attachment': '' }
+      }
+    ),
+    SyncEvent.updateMany(
+      { messages: messageId, 'data.replyTo.message': id },
+      {
+        $set: { 'data.replyTo.content': '', 'data.replyTo.isDeleted': true },
+        $unset: { 'data.replyTo.attachmentName': '' }
+      }
+    )
+  ]);
+};
+
+// True when events after `since` have already expired (or the cursor is
+// from somewhere else entirely), so the client has to refetch
+const needsReset = async (since, latest) => {
+  if (since > latest) return true;
+  if (since === latest) return false;
+
+  const oldest = await SyncEvent.findOne().sort({ seq: 1 }).select('seq');
+  return !oldest || oldest.seq > since + 1;
+};
+
+// Highest seq that cursors may move up to: every number below it was
+// reserved more than SETTLE_MS ago, so its event is written by now (or its
+// write failed for good)
+const settledSeq = async () => {
+  const settled = await SyncEvent.findOne({ createdAt: { $lte: new Date(Date.now() - SETTLE_MS) } })
+    .sort({ createdAt: -1 })
+    .select('seq');
+  return settled ? settled.seq : 0;
+};
+
+// Everything the user missed after `since`, oldest first. Without a cursor,
+// or with one that's too old, `reset` tells the client to reload its state
+// the normal way and carry on from the returned cursor
+const getChanges = async (userId, { since, limit } = {}) => {
+  limit = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (since !== undefined && since !== null && since !== '') {
+    since = Number(since);
+    if (!Number.isInteger(since) || since < 0) {
+      throw new ServiceError(400, 'since must be a sync cursor');
+    }
+  } else {
+    since = null;
+  }
+
+  // Read before the events so a reset cursor never runs ahead of the
+  // state the client reloads
+  const latest = await Counter.current(SEQUENCE);
+
+  if (since === null || await needsReset(since, latest)) {
+    return { events: [], cursor: latest, hasMore: false, reset: true };
+  }
+
+  const [groupIds, settled] = await Promise.all([
+    Group.find({ 'members.user': userId }).distinct('_id'),
+    settledSeq()
+  ]);
+  const upTo = Math.min(latest, settled);
+
+  const events = await SyncEvent.find({
+    seq: { $gt: since, $lte: upTo },
+    $or: [{ users: userId }, { group: { $in: groupIds } }]
+  })
+    .sort({ seq: 1 })
+    .limit(limit + 1)
+    .select('seq type data createdAt');
+
+  const hasMore = events.length > limit;
+  if (hasMore) events.pop();
+
+  const last = events[events.length - 1];
+
+  return {
+    events: events.map((event) => ({
+      seq: event.seq,
+      type: event.type,
+      data: event.data,
+      createdAt: event.createdAt
+    })),
+    cursor: hasMore ? last.seq : Math.max(upTo, since),
+    hasMore,
+    reset: false
+  };
+};
+
+module.exports = {
+  record,
+  recordForUsers,
+  recordForGroup,
+  redactMessage,
+  getChanges
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Cleared the first time the server turns a transaction down
+let transactionsSupported = true;
+
+// Standalone mongod (the usual local setup) has no transactions
+const isUnsupported = (error) =>
+  error.code === 20 || /replica set member or mongos/i.test(error.message || '');
+
+// Run `work(session)` inside a MongoDB transaction. The driver retries the
+// whole callback on transient errors such as write conflicts, so `work` must
+// only touch the database; emit events after it resolves. Without replica
+// set support the work runs without a session, as it did before
+const withTransaction = async (work) => {
+  if (!transactionsSupported) return work(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isUnsupported(error)) throw error;
+
+    transactionsSupported = false;
+    console.warn('⚠️ MongoDB transactions are not available (needs a replica set); continuing without them');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction
+};
@@ -0,0 +1,154 @@
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const privacyService = require('./privacyService');
+
+const RESULT_LIMIT = 20;
+
+// Fetch more than we return so ranking has something to choose from
+const CANDIDATE_LIMIT = 50;
+
+const SEARCH_FIELDS = 'username usernameLower email avatar bio status lastSeen friends privacy';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const countMutual = (friendIds, candidateFriends) => {
+  return candidateFriends.reduce((count, id) => count + (friendIds.has(id.toString()) ? 1 : 0), 0);
+};
+
+// Public shape of a user in search results, limited by their privacy settings
+const toResult = (user, searcherId, { isFriend, mutualFriendsCount }) => {
+  const { usernameLower, ...profile } = privacyService.filterProfile(user, searcherId);
+
+  return {
+    ...profile,
+    isFriend,
+    mutualFriendsCount
+  };
+};
+
+// Username search ranked: exact match, then friends, then most mutual friends,
+// then prefix before substring matches. Input is escaped, so any character
+// is matched literally
+const searchUsers = async (searcher, query) => {
+  const term = query.trim().toLowerCase();
+  const escaped = escapeRegex(term);
+
+  const blockedIds = await User.getBlockedIds(searcher._id);
+  const excluded = [searcher._id, ...blockedIds];
+
+  // Anchored on the lowercased copy so the index does the work
+  const prefixMatches = await User.find({
+    usernameLower: { $regex: `^${escaped}` },
+    _id: { $nin: excluded }
+  })
+  .select(SEARCH_FIELDS)
+  .limit(CANDIDATE_LIMIT);
+
+  // Top up with substring matches only if prefixes didn't fill the page
+  let substringMatches = [];
+  if (prefixMatches.length < RESULT_LIMIT) {
+    substringMatches = await User.find({
+      usernameLower: { $regex: escaped },
+      _id: { $nin: [...excluded, ...prefixMatches.map((user) => user._id)] }
+    })
+    .select(SEARCH_FIELDS)
+    .limit(CANDIDATE_LIMIT - prefixMatches.length);
+  }
+
+  const friendIds = new Set(searcher.friends.map((id) => id.toString()));
+
+  const ranked = [...prefixMatches, ...substringMatches].map((user) => {
+    const isFriend = friendIds.has(user._id.toString());
+    return {
+      user,
+      isFriend,
+      isExact: user.usernameLower === term,
+      isPrefix: user.usernameLower.startsWith(term),
+      mutualFriendsCount: countMutual(friendIds, user.friends)
+    };
+  });
+
+  ranked.sort((a, b) =>
+    (b.isExact - a.isExact) ||
+    (b.isFriend - a.isFriend) ||
+    (b.mutualFriendsCount - a.mutualFriendsCount) ||
+    (b.isPrefix - a.isPrefix) ||
+    a.user.usernameLower.localeCompare(b.user.usernameLower)
+  );
+
+  return ranked.slice(0, RESULT_LIMIT).map((entry) => toResult(entry.user, searcher._id, entry));
+};
+
+// People the user may know: friends of friends, ordered by how many mutual
+// friends they share. Skips existing friends, blocks and pending requests
+const suggestFriends = async (user, limit = RESULT_LIMIT) => {
+  if (user.friends.length === 0) return [];
+
+  const [blockedIds, pending] = await Promise.all([
+    User.getBlockedIds(user._id),
+    FriendRequest.find({
+      $or: [{ sender: user._id }, { recipient: user._id }],
+      status: 'pending'
+    }).select('sender recipient')
+  ]);
+
+  const pendingIds = pending.map((request) =>
+    request.sender.equals(user._id) ? request.recipient : request.sender
+  );
+
+  const suggestions = await User.aggregate([
+    { $match: { _id: { $in: user.friends } } },
+    { $project: { friends: 1 } },
+    { $unwind: '$friends' },
+    {
+      $match: {
+        friends: { $nin: [user._id, ...user.friends, ...blockedIds, ...pendingIds] }
+      }
+    },
+    {
+      $group: {
+        _id: '$friends',
+        mutualFriendsCount: { $sum: 1 },
+        mutualFriends: { $push: '$_id' }
+      }
+    },
+    { $sort: { mutualFriendsCount: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: '$user._id',
+        username: '$user.username',
+        avatar: '$user.avatar',
+        bio: '$user.bio',
+        privacy: '$user.privacy',
+        friends: '$user.friends',
+        mutualFriendsCount: 1,
+        mutualFriends: { $slice: ['$mutualFriends', 3] }
+      }
+    }
+  ]);
+
+  // Sample of mutual friends' names for "Followed by A, B and 3 others"
+  const sampleIds = [...new Set(suggestions.flatMap((s) => s.mutualFriends.map(String)))];
+  const samples = await User.find({ _id: { $in: sampleIds } }).select(`username avatar ${privacyService.PRIVACY_FIELDS}`);
+  const byId = new Map(samples.map((sample) => [sample._id.toString(), privacyService.filterProfile(sample, user._id)]));
+
+  return suggestions.map((suggestion) => ({
+    ...privacyService.filterProfile(suggestion, user._id),
+    mutualFriends: suggestion.mutualFriends.map((id) => byId.get(id.toString())).filter(Boolean)
+  }));
+};
+
+module.exports = {
+  searchUsers,
+  suggestFriends
+};
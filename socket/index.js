@@ -0,0 +1,205 @@
+const socketAuth = require('../middleware/socketAuth');
+const { reauthenticate } = socketAuth;
+const { throttleSocketEvents } = require('../middleware/rateLimit');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const realtime = require('../services/realtime');
+const presence = require('../services/presence');
+const messageService = require('../services/messageService');
+const receiptService = require('../services/receiptService');
+const syncService = require('../services/syncService');
+const ServiceError = require('../utils/ServiceError');
+const { toServiceError } = require('../middleware/errorHandler');
+
+// Acknowledge a failed event the way the REST error handler answers a
+// failed request: { success: false, code, message, details }
+const respondWithError = (respond, label, error) => {
+  const known = toServiceError(error);
+  if (!known) {
+    console.error(`Socket ${label} error:`, error);
+  }
+
+  const { code, message, details } = known || new ServiceError(500, 'Server error');
+  respond({ success: false, code, message, details: details || [] });
+};
+
+// Wire authentication, presence and event handlers onto one node's
+// Socket.IO server. Handlers run in that node's context, so the services
+// they call emit through it
+const registerSocketHandlers = (io, node) => {
+  // Authenticate every socket with the same JWT used by the REST API
+  io.use((socket, next) => realtime.runInNode(node, () => socketAuth(socket, next)));
+
+  io.on('connection', (socket) => realtime.runInNode(node, () => {
+    const userId = socket.userId;
+    console.log('🔌 User connected:', socket.id);
+
+    // Personal room so deliveries reach every device the user has open
+    socket.join(realtime.userRoom(userId));
+
+    // One room per group the user belongs to
+    Group.find({ 'members.user': userId }).select('_id')
+      .then((groups) => socket.join(groups.map((group) => realtime.groupRoom(group._id))))
+      .catch((error) => console.error('Join group rooms error:', error));
+
+    // Identity comes from the verified token, so connecting is enough to come online
+    presence.connect(userId, socket.id)
+      .then(() => console.log(`👤 User ${userId} is now online`))
+      .catch((error) => console.error('Presence connect error:', error));
+
+    socket.use((packet, next) => realtime.runInNode(node, next));
+
+    // Any incoming event resets the idle timer and brings an away user back
+    socket.use((packet, next) => {
+      presence.touch(userId).catch((error) => {
+        console.error('Presence activity error:', error);
+      });
+      next();
+    });
+
+    // Per-user quotas on chatty events (send_message, typing, ...)
+    socket.use(throttleSocketEvents(socket));
+
+    // Clients refresh their access token over REST, then hand it to the
+    // socket here to keep the connection alive past the old token's expiry
+    socket.on('reauthenticate', async (data = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        await reauthenticate(socket, data.token || '');
+        respond({ success: true });
+      } catch (error) {
+        respond({ success: false, message: 'Token is not valid' });
+      }
+    });
+
+    // Handle sending messages: persisted and delivered through the same path as
+    // POST /api/messages/send, then acknowledged with the stored message
+    socket.on('send_message', async (data = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        // `message` is the field older clients send the text in
+        const { recipientId, content = data.message, messageType, replyToId } = data;
+
+        const message = await messageService.sendMessage({
+          senderId: userId,
+          recipientId,
+          content,
+          messageType,
+          replyToId
+        });
+
+        respond({ success: true, messageId: message._id, data: message });
+      } catch (error) {
+        respondWithError(respond, 'send message', error);
+      }
+    });
+
+    // Handle sending group messages, same shape as send_message
+    socket.on('send_group_message', async (data = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const { groupId, content, messageType, replyToId } = data;
+
+        const message = await messageService.sendGroupMessage({
+          senderId: userId,
+          groupId,
+          content,
+          messageType,
+          replyToId
+        });
+
+        respond({ success: true, messageId: message._id, data: message });
+      } catch (error) {
+        respondWithError(respond, 'send group message', error);
+      }
+    });
+
+    // Delivery receipts for messages the client got some other way than an
+    // acked receive_message (e.g. fetched after reconnecting)
+    socket.on('messages_delivered', async (data = {}) => {
+      try {
+        await receiptService.markDelivered(userId, data.messageIds);
+      } catch (error) {
+        console.error('Socket delivered receipt error:', error);
+      }
+    });
+
+    // Batch read receipt: everything from `userId` up to `upToMessageId`
+    socket.on('mark_read', async (data = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        if (!data.userId) {
+          throw new ServiceError(400, 'User ID is required', { code: 'VALIDATION_ERROR' });
+        }
+
+        const messageIds = await receiptService.markConversationRead(userId, data.userId, data.upToMessageId);
+        respond({ success: true, messageIds });
+      } catch (error) {
+        respondWithError(respond, 'mark read', error);
+      }
+    });
+
+    // Clients send this after reconnecting to catch up on what they missed;
+    // same answer as GET /api/sync
+    socket.on('sync', async (data = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const changes = await syncService.getChanges(userId, {
+          since: data.since,
+          limit: data.limit
+        });
+        respond({ success: true, ...changes });
+      } catch (error) {
+        respondWithError(respond, 'sync', error);
+      }
+    });
+
+    // Handle typing indicators
+    socket.on('typing', async (data = {}) => {
+      const { recipientId, groupId, isTyping } = data;
+
+      // Only relay to group rooms this socket has actually joined
+      if (groupId) {
+        const room = realtime.groupRoom(groupId);
+        if (socket.rooms.has(room)) {
+          socket.to(room).emit('user_typing', { userId, groupId, isTyping });
+        }
+        return;
+      }
+
+      if (!recipientId) return;
+
+      // Only friends see typing; blocking ends the friendship, so this covers blocks too
+      try {
+        const isFriend = await User.exists({ _id: recipientId, friends: userId });
+        if (!isFriend) return;
+
+        realtime.emitToUser(recipientId, 'user_typing', {
+          userId,
+          isTyping
+        });
+      } catch (error) {
+        console.error('Typing relay error:', error);
+      }
+    });
+
+    // Handle disconnection; the user stays online while another device is connected
+    socket.on('disconnect', () => realtime.runInNode(node, () => {
+      presence.disconnect(userId, socket.id)
+        .then(() => {
+          if (!presence.isOnline(userId)) {
+            console.log(`👤 User ${userId} is now offline`);
+          }
+        })
+        .catch((error) => console.error('Presence disconnect error:', error));
+      console.log('🔌 User disconnected:', socket.id);
+    }));
+  }));
+};
+
+module.exports = registerSocketHandlers;
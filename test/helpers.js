@@ -0,0 +1,23 @@
+// Stand-in for a Mongoose query: chains like one and resolves to `result`
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+  ['select', 'sort', 'limit', 'skip', 'populate', 'session', 'lean'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+};
+
+// Resolves once pending setImmediate/promise work (e.g. broker deliveries) has run
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+  mockQuery,
+  flush,
+  wait
+};
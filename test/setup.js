@@ -0,0 +1,7 @@
+// Tests run without a database: models are stubbed per test, and a query
+// left unstubbed fails straight away instead of waiting for a connection
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
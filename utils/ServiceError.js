@@ -0,0 +1,27 @@
+// Machine-readable code used when a ServiceError doesn't name its own
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  500: 'SERVER_ERROR'
+};
+
+// Error thrown by services so REST routes and socket handlers can report
+// the same failure with the right HTTP status. `details` carries per-field
+// problems for validation failures
+class ServiceError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'ERROR';
+    this.details = details;
+  }
+}
+
+module.exports = ServiceError;